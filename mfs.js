@@ -6,13 +6,104 @@
 
 const MFS_SIGNATURE = 0xD2D7;
 const SECTOR_SIZE = 512;
-const DEFAULT_ALLOC_BLOCK_SIZE_400K = 1024; // For a 400KB disk
+const DEFAULT_ALLOC_BLOCK_SIZE_400K = 1024; // For a 400KB disk; also the smallest block size we format with
+const DEFAULT_DIR_SECTORS_400K = 12; // Directory sectors on a 400KB disk
 const MDB_START_SECTOR = 2;
+const MDB_SIZE = 1024; // Volume info + ABM, two sectors
+const ABM_OFFSET_IN_MDB = 64; // The ABM follows the 64-byte volume info
+const MAX_ABM_ENTRIES = Math.floor((MDB_SIZE - ABM_OFFSET_IN_MDB) * 2 / 3); // 640 12-bit entries fit in the MDB
 const BOOT_BLOCK_SECTORS = 2;
+const DEVICE_CACHE_SECTORS = 2048; // Unmodified sectors an MFSDeviceView keeps in memory (1MB)
+
+const FILE_LOCKED_FLAG = 0x01; // flFlags bit 0: software lock
+const VOLUME_HARDWARE_LOCK = 0x0080; // drAtrb bit 7
+const VOLUME_SOFTWARE_LOCK = 0x8000; // drAtrb bit 15
+
+// Finder flags (flFndrInfo.fdFlags)
+const FINDER_FLAG_INVISIBLE = 0x4000;
+const FINDER_FLAG_HAS_BUNDLE = 0x2000; // The file has a BNDL resource for the Finder to copy to the Desktop file
+
+// The Finder's invisible database of bundles, icons and folders
+const DESKTOP_FILE_NAME = 'Desktop';
+const DESKTOP_FILE_TYPE = 'FNDR';
+const DESKTOP_FILE_CREATOR = 'ERIK';
+const FOLDER_VOLUME = 0; // flFldrNum of the volume window (-2 is the desktop, -3 the trash)
+const ICON_LAYOUTS = ['grid', 'name', 'type']; // See MFSVolume.arrangeIcons()
+const ICON_SIZE = 32; // Finder icons are 32x32 pixels
+const DEFAULT_WINDOW_WIDTH = 360; // Window width the icon grid assumes unless told otherwise
 
 // MFS Timestamps are seconds since midnight, January 1, 1904
 const MFS_EPOCH_OFFSET = Date.UTC(1904, 0, 1) / 1000; // In seconds
 
+// Names of the directory entry fields describing each fork
+const FORK_FIELDS = {
+    data: { startBlock: 'dataForkStartBlock', logicalLength: 'dataForkLogicalLength', allocLength: 'dataForkAllocLength' },
+    resource: { startBlock: 'resourceForkStartBlock', logicalLength: 'resourceForkLogicalLength', allocLength: 'resourceForkAllocLength' }
+};
+
+// Mac OS Roman characters for bytes 0x80-0xFF (0x00-0x7F are ASCII). 0xDB is the euro sign
+// (the currency sign before Mac OS 8.5) and 0xF0 is the Apple logo in the private use area.
+const MAC_ROMAN_HIGH =
+    '\u00C4\u00C5\u00C7\u00C9\u00D1\u00D6\u00DC\u00E1\u00E0\u00E2\u00E4\u00E3\u00E5\u00E7\u00E9\u00E8' + // 0x80
+    '\u00EA\u00EB\u00ED\u00EC\u00EE\u00EF\u00F1\u00F3\u00F2\u00F4\u00F6\u00F5\u00FA\u00F9\u00FB\u00FC' + // 0x90
+    '\u2020\u00B0\u00A2\u00A3\u00A7\u2022\u00B6\u00DF\u00AE\u00A9\u2122\u00B4\u00A8\u2260\u00C6\u00D8' + // 0xA0
+    '\u221E\u00B1\u2264\u2265\u00A5\u00B5\u2202\u2211\u220F\u03C0\u222B\u00AA\u00BA\u03A9\u00E6\u00F8' + // 0xB0
+    '\u00BF\u00A1\u00AC\u221A\u0192\u2248\u2206\u00AB\u00BB\u2026\u00A0\u00C0\u00C3\u00D5\u0152\u0153' + // 0xC0
+    '\u2013\u2014\u201C\u201D\u2018\u2019\u00F7\u25CA\u00FF\u0178\u2044\u20AC\u2039\u203A\uFB01\uFB02' + // 0xD0
+    '\u2021\u00B7\u201A\u201E\u2030\u00C2\u00CA\u00C1\u00CB\u00C8\u00CD\u00CE\u00CF\u00CC\u00D3\u00D4' + // 0xE0
+    '\uF8FF\u00D2\u00DA\u00DB\u00D9\u0131\u02C6\u02DC\u00AF\u02D8\u02D9\u02DA\u00B8\u02DD\u02DB\u02C7'; // 0xF0
+
+// Other Unicode spellings of Mac OS Roman characters, accepted when encoding
+const MAC_ROMAN_ALTERNATES = { '\u00A4': 0xDB, '\u2126': 0xBD, '\u0394': 0xC6, '\u03BC': 0xB5 };
+
+const DC42_HEADER_SIZE = 0x54; // Disk Copy 4.2 image header
+const DC42_TAG_BYTES_PER_SECTOR = 12;
+
+const DART_SECTORS_PER_CHUNK = 40;
+const DART_CHUNK_SIZE = DART_SECTORS_PER_CHUNK * (SECTOR_SIZE + DC42_TAG_BYTES_PER_SECTOR); // 20960 bytes
+
+// Sony 400K/800K drives: five speed zones of 16 tracks, fewer sectors per track toward the hub
+const SONY_ZONES = [
+    { sectors: 12, rpm: 394 },
+    { sectors: 11, rpm: 429 },
+    { sectors: 10, rpm: 472 },
+    { sectors: 9, rpm: 525 },
+    { sectors: 8, rpm: 590 }
+];
+const SONY_TRACKS_PER_SIDE = 80;
+const GCR_BIT_CELL_NS = 2000; // 2 microseconds per bit cell
+
+// 6-and-2 GCR: the 64 disk nibbles that can stand for a 6-bit value
+const GCR_ENCODE_6AND2 = [
+    0x96, 0x97, 0x9A, 0x9B, 0x9D, 0x9E, 0x9F, 0xA6, 0xA7, 0xAB, 0xAC, 0xAD, 0xAE, 0xAF, 0xB2, 0xB3,
+    0xB4, 0xB5, 0xB6, 0xB7, 0xB9, 0xBA, 0xBB, 0xBC, 0xBD, 0xBE, 0xBF, 0xCB, 0xCD, 0xCE, 0xCF, 0xD3,
+    0xD6, 0xD7, 0xD9, 0xDA, 0xDB, 0xDC, 0xDD, 0xDE, 0xDF, 0xE5, 0xE6, 0xE7, 0xE9, 0xEA, 0xEB, 0xEC,
+    0xED, 0xEE, 0xEF, 0xF2, 0xF3, 0xF4, 0xF5, 0xF6, 0xF7, 0xF9, 0xFA, 0xFB, 0xFC, 0xFD, 0xFE, 0xFF
+];
+
+const MOOF_SIGNATURE = [0x4D, 0x4F, 0x4F, 0x46, 0xFF, 0x0A, 0x0D, 0x0A]; // "MOOF" + line-ending check bytes
+const MOOF_BITS_START_BLOCK = 3; // Track data follows the 1536 bytes of header and fixed chunks
+
+const MACBINARY_HEADER_SIZE = 128;
+
+const BINHEX_ALPHABET = '!"#$%&\'()*+,-012345689@ABCDEFGHIJKLMNPQRSTUVXYZ[`abcdefhijklmpqr';
+const BINHEX_BANNER = '(This file must be converted with BinHex 4.0)';
+const BINHEX_RUN_MARKER = 0x90;
+
+const APPLESINGLE_MAGIC = 0x00051600;
+const APPLEDOUBLE_MAGIC = 0x00051607;
+const APPLESINGLE_VERSION = 0x00020000;
+const APPLESINGLE_ENTRY = { dataFork: 1, resourceFork: 2, realName: 3, fileDates: 8, finderInfo: 9, macFileInfo: 10 };
+const APPLESINGLE_EPOCH_OFFSET = 946684800; // AppleSingle dates count seconds from 2000-01-01 GMT
+const APPLEDOUBLE_PREFIX = '._';
+
+// Resource attribute bits (the attributes byte of a reference list entry)
+const RESOURCE_ATTRIBUTES = { sysHeap: 0x40, purgeable: 0x20, locked: 0x10, protected: 0x08, preload: 0x04, changed: 0x02 };
+const RESOURCE_HEADER_SIZE = 16;
+
+const MAX_FILENAME_LENGTH = 63; // The Finder's limit; the directory entry itself allows 255
+const MAX_VOLUME_NAME_LENGTH = 27;
+
 /**
  * Utility functions for MFS library.
  * These might be integrated as static or private methods of MFSVolume later if preferred.
@@ -42,28 +133,157 @@ class MFSLibUtils {
         dataView.setUint32(offset, value, false);
     }
 
+    static readUint16LE(dataView, offset) {
+        return dataView.getUint16(offset, true);
+    }
+
+    static writeUint16LE(dataView, offset, value) {
+        dataView.setUint16(offset, value, true);
+    }
+
+    static readUint32LE(dataView, offset) {
+        return dataView.getUint32(offset, true);
+    }
+
+    static writeUint32LE(dataView, offset, value) {
+        dataView.setUint32(offset, value, true);
+    }
+
+    // Views other than a plain DataView (see MFSJournaledView) provide getBytes/setBytes
+    static readBytes(dataView, offset, length) {
+        if (typeof dataView.getBytes === 'function') return dataView.getBytes(offset, length);
+        return new Uint8Array(dataView.buffer, dataView.byteOffset + offset, length).slice();
+    }
+
+    static writeBytes(dataView, offset, bytes) {
+        if (typeof dataView.setBytes === 'function') return dataView.setBytes(offset, bytes);
+        new Uint8Array(dataView.buffer, dataView.byteOffset + offset, bytes.length).set(bytes);
+    }
+
+    /**
+     * Throws if a sector range doesn't lie within a block device.
+     * @param {{sectorCount: number}} device
+     * @param {number} firstSector
+     * @param {number} count
+     */
+    static checkSectorRange(device, firstSector, count) {
+        if (!Number.isInteger(firstSector) || !Number.isInteger(count) || firstSector < 0 || count < 0 || firstSector + count > device.sectorCount) {
+            throw new RangeError(`Sectors ${firstSector}..${firstSector + count - 1} are outside the device (${device.sectorCount} sectors).`);
+        }
+    }
+
     static readPascalString(dataView, offset, maxLength = 27) {
         const length = MFSLibUtils.readUint8(dataView, offset);
-        let str = "";
         const actualLength = Math.min(length, maxLength); // Respect MDB volume name max length or file entry name length
-        for (let i = 0; i < actualLength; i++) {
-            str += String.fromCharCode(MFSLibUtils.readUint8(dataView, offset + 1 + i));
-        }
-        return str;
+        return MFSLibUtils.decodeMacRoman(MFSLibUtils.readBytes(dataView, offset + 1, actualLength));
     }
 
     static writePascalString(dataView, offset, str, fixedLength) {
-        const len = Math.min(str.length, fixedLength -1); // Max 27 chars for drVN, or flNamLen for filename
+        const bytes = MFSLibUtils.encodeMacRoman(str);
+        const len = Math.min(bytes.length, fixedLength -1); // Max 27 chars for drVN, or flNamLen for filename
         MFSLibUtils.writeUint8(dataView, offset, len);
-        for (let i = 0; i < len; i++) {
-            MFSLibUtils.writeUint8(dataView, offset + 1 + i, str.charCodeAt(i));
-        }
+        MFSLibUtils.writeBytes(dataView, offset + 1, bytes.subarray(0, len));
         // Pad with zeros if fixedLength is provided (e.g. for drVN)
         for (let i = len; i < fixedLength - 1; i++) {
             MFSLibUtils.writeUint8(dataView, offset + 1 + i, 0);
         }
     }
 
+    /**
+     * Decodes Mac OS Roman bytes to a string.
+     * @param {Uint8Array | number[]} bytes
+     * @returns {string}
+     */
+    static decodeMacRoman(bytes) {
+        let str = "";
+        for (let i = 0; i < bytes.length; i++) {
+            str += bytes[i] < 0x80 ? String.fromCharCode(bytes[i]) : MAC_ROMAN_HIGH[bytes[i] - 0x80];
+        }
+        return str;
+    }
+
+    /**
+     * Encodes a string as Mac OS Roman. The string is NFC-normalized first, so decomposed
+     * accents ("e" + U+0301) encode like their precomposed forms.
+     * @param {string} str
+     * @returns {Uint8Array} One byte per character.
+     * @throws {Error} If a character has no Mac OS Roman equivalent.
+     */
+    static encodeMacRoman(str) {
+        const normalized = str.normalize('NFC');
+        const bytes = new Uint8Array(normalized.length);
+        let length = 0;
+        for (const char of normalized) {
+            const code = char.codePointAt(0);
+            let byte = code;
+            if (code >= 0x80) {
+                const index = MAC_ROMAN_HIGH.indexOf(char);
+                byte = index >= 0 ? index + 0x80 : MAC_ROMAN_ALTERNATES[char];
+            }
+            if (byte === undefined) {
+                throw new Error(`Character "${char}" (U+${code.toString(16).toUpperCase().padStart(4, '0')}) cannot be encoded in Mac OS Roman.`);
+            }
+            bytes[length++] = byte;
+        }
+        return bytes.subarray(0, length);
+    }
+
+    static isMacRomanEncodable(str) {
+        try {
+            MFSLibUtils.encodeMacRoman(str);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Returns the key under which the Mac compares names (RelString with case and diacritical
+     * marks ignored): accents are stripped and letters upper-cased, so "café", "Cafe" and "CAFÉ"
+     * share a key. Ligatures such as "æ" and "ß" keep their own identity, as on the Mac.
+     * @param {string} name
+     * @returns {string}
+     */
+    static nameKey(name) {
+        let key = "";
+        for (const char of name.normalize('NFC')) {
+            if (char === '\u00F8' || char === '\u00D8') { // ø and Ø sort as O
+                key += 'O';
+                continue;
+            }
+            const base = char.normalize('NFD').replace(/[\u0300-\u036F]/g, '') || char;
+            const upper = base.toUpperCase();
+            key += upper.length === 1 ? upper : base;
+        }
+        return key;
+    }
+
+    /**
+     * Compares two names the way the Mac File Manager does (case- and diacritic-insensitive).
+     * @param {string} a
+     * @param {string} b
+     * @returns {boolean}
+     */
+    static namesEqual(a, b) {
+        return MFSLibUtils.nameKey(a) === MFSLibUtils.nameKey(b);
+    }
+
+    /**
+     * CRC-16/XMODEM (CCITT polynomial 0x1021, MSB first), used by MacBinary II/III and BinHex 4.0.
+     * @param {Uint8Array} bytes
+     * @param {number} [crc=0] - A previous result, to continue the CRC across several buffers.
+     * @returns {number}
+     */
+    static crc16(bytes, crc = 0) {
+        for (let i = 0; i < bytes.length; i++) {
+            crc ^= bytes[i] << 8;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+            }
+        }
+        return crc;
+    }
+
     static mfsTimestampToDate(mfsTime) {
         if (mfsTime === 0) return null; // Or handle as appropriate
         return new Date((mfsTime + MFS_EPOCH_OFFSET) * 1000);
@@ -114,36 +334,80 @@ class MFSLibUtils {
     }
 }
 
+/**
+ * Thrown when a mutating operation targets a locked file or a locked volume.
+ * Such operations accept `{ force: true }` to override the lock.
+ */
+class MFSLockedError extends Error {
+    /**
+     * @param {string} message
+     * @param {'file' | 'volume'} target - What is locked.
+     * @param {string} name - The locked file's or volume's name.
+     */
+    constructor(message, target, name) {
+        super(message);
+        this.name = 'MFSLockedError';
+        this.target = target;
+        this.lockedName = name;
+    }
+}
 
 class MFSVolume {
     /**
-     * @param {ArrayBuffer | {create: boolean, sizeKB?: number, volumeName?: string}} sourceOrOptions
+     * @param {ArrayBuffer | object | {create: boolean, sizeKB?: number, volumeName?: string, dirSectors?: number, device?: object, desktop?: boolean}} sourceOrOptions
      * If sourceOrOptions is an ArrayBuffer, it loads an existing MFS image.
+     * If sourceOrOptions is a block device (see MFSMemoryDevice), it loads the image stored on it.
      * If sourceOrOptions is an object with `create: true`, it creates a new MFS image.
      *   `sizeKB`: Size of the new image in kilobytes (default: 400).
      *   `volumeName`: Name of the new volume (default: "Untitled").
+     *   `dirSectors`: Number of sectors reserved for the file directory (default: 12 per 400KB).
+     *   `device`: Block device to format (default: a new in-memory image). It must hold at least `sizeKB`.
+     *   `desktop`: True to give the volume a Desktop file (see rebuildDesktop()).
+     *   See MFSVolume.planGeometry() for how the rest of the layout is derived from the size.
      */
     constructor(sourceOrOptions) {
-        this.imageBuffer = null;
+        this.device = null;
+        this.imageBuffer = null; // The image, for volumes on an MFSMemoryDevice
         this.dataView = null;
         this.volumeInfo = null; // Will hold MFSVolumeInfo object
         this.abm = [];          // In-memory array of 12-bit ABM entries
         this.fileDirectory = []; // Array of MFSFileEntry objects
+        this._transactionSnapshots = []; // In-memory state saved by each open transaction (see begin())
+        this.diskCopyInfo = null; // Name, format and tag data of a loaded Disk Copy 4.2 image (tags only for DART and MOOF)
 
         if (sourceOrOptions instanceof ArrayBuffer) {
+            this._loadExistingImage(new MFSMemoryDevice(sourceOrOptions));
+        } else if (sourceOrOptions && typeof sourceOrOptions.readSectors === 'function') {
             this._loadExistingImage(sourceOrOptions);
         } else if (typeof sourceOrOptions === 'object' && sourceOrOptions.create === true) {
             const sizeKB = sourceOrOptions.sizeKB || 400;
             const volumeName = sourceOrOptions.volumeName || "Untitled";
-            this._formatNewImage(sizeKB, volumeName);
+            this._formatNewImage(sizeKB, volumeName, sourceOrOptions.dirSectors, sourceOrOptions.device);
+            if (sourceOrOptions.desktop) {
+                this.rebuildDesktop();
+            }
+        } else {
+            throw new Error("Invalid constructor argument: Provide ArrayBuffer, a block device or creation options.");
+        }
+    }
+
+    /**
+     * Makes `device` the volume's storage. An MFSMemoryDevice's ArrayBuffer is accessed directly;
+     * any other device only through readSectors()/writeSectors(), via a sector cache (MFSDeviceView).
+     */
+    _attachDevice(device) {
+        this.device = device;
+        if (device instanceof MFSMemoryDevice) {
+            this.imageBuffer = device.buffer;
+            this.dataView = new DataView(device.buffer);
         } else {
-            throw new Error("Invalid constructor argument: Provide ArrayBuffer or creation options.");
+            this.imageBuffer = null;
+            this.dataView = new MFSDeviceView(device);
         }
     }
 
-    _loadExistingImage(arrayBuffer) {
-        this.imageBuffer = arrayBuffer;
-        this.dataView = new DataView(this.imageBuffer);
+    _loadExistingImage(device) {
+        this._attachDevice(device);
 
         console.log("Attempting to load existing image...");
         this._parseMDB();
@@ -154,21 +418,20 @@ class MFSVolume {
         console.log(`Volume "${this.volumeInfo.volumeName}" loaded successfully.`);
     }
 
-    _formatNewImage(sizeKB, volumeName) {
-        const totalSizeBytes = sizeKB * 1024;
-        if (totalSizeBytes % SECTOR_SIZE !== 0) {
-            throw new Error(`Image size (${sizeKB}KB) must be a multiple of sector size (${SECTOR_SIZE} bytes).`);
-        }
-        // For simplicity, using typical 400K disk parameters from mfs-read-write.md:100-105
-        // These would need to be more dynamic for other sizes.
-        const allocBlockSize = DEFAULT_ALLOC_BLOCK_SIZE_400K;
-        if (totalSizeBytes < (BOOT_BLOCK_SECTORS * SECTOR_SIZE) + 1024 /*MDB size*/ + allocBlockSize /*at least one alloc block*/) {
-            throw new Error("Image size too small for basic MFS structures.");
-        }
+    _formatNewImage(sizeKB, volumeName, dirSectors, device) {
+        volumeName = MFSVolume._validateName(volumeName, MAX_VOLUME_NAME_LENGTH, "Volume name");
+        const geometry = MFSVolume.planGeometry(sizeKB, { dirSectors });
 
-        this.imageBuffer = new ArrayBuffer(totalSizeBytes);
-        this.dataView = new DataView(this.imageBuffer);
-        // Zero-fill the buffer (ArrayBuffer is zero-initialized by default)
+        if (device) {
+            if (device.sectorCount < geometry.totalSectors) {
+                throw new Error(`Device of ${device.sectorCount} sectors is too small for a ${sizeKB}KB volume.`);
+            }
+            this._attachDevice(device);
+            // Boot blocks, MDB and directory start out zeroed (a new ArrayBuffer already is)
+            MFSLibUtils.writeBytes(this.dataView, 0, new Uint8Array(geometry.allocBlockStartSector * SECTOR_SIZE));
+        } else {
+            this._attachDevice(new MFSMemoryDevice(new ArrayBuffer(geometry.totalSectors * SECTOR_SIZE)));
+        }
 
         console.log(`Formatting new ${sizeKB}KB image with name "${volumeName}"...`);
 
@@ -179,39 +442,17 @@ class MFSVolume {
             modificationDate: new Date(), // Store as Date object
             attributes: 0x0000, // Default attributes
             numFiles: 0,
-            // Typical values for a 400K disk (from mfs-read-write.md Table 2.1)
-            // drDirSt: Sector 4 (byte offset 4 * 512 = 2048)
-            // drDirLen: 12 sectors (byte offset 12 * 512 = 6144 bytes)
-            // drAlBlkSiz: 1024 bytes
-            // drAlBlSt: Sector 16 (byte offset 16 * 512 = 8192) for block #2
-            // drNmAlBlks: 391 for a 400K disk ( (400*1024 - 16*512) / 1024 = (409600 - 8192) / 1024 = 401408 / 1024 = 392. This seems off from doc.
-            // Let's recalculate: Total sectors = 400 * 1024 / 512 = 800 sectors.
-            // Boot blocks: 0, 1
-            // MDB: 2, 3
-            // File Directory: Let's assume 12 sectors for now: 4, 5, ..., 15
-            // First alloc block (#2) starts at sector 16.
-            // So, allocatable sectors = 800 - 16 = 784 sectors.
-            // numAllocBlocks = 784 sectors / (allocBlockSize / SECTOR_SIZE) sectors/block
-            // numAllocBlocks = 784 / (1024 / 512) = 784 / 2 = 392 blocks.
-            // This matches the calculation if drAlBlSt is 16.
-            // The document says 391 for drNmAlBlks (typical). The difference might be due to rounding or specific image.
-            // Let's use 392 based on calculation for a full 400KB.
+            dirStartBlock: geometry.dirStartSector,
+            dirLengthBlocks: geometry.dirSectors,
+            numAllocBlocks: geometry.numAllocBlocks,
+            allocBlockSize: geometry.allocBlockSize,
+            clumpSize: geometry.clumpSize,
+            allocBlockStartSector: geometry.allocBlockStartSector,
+            nextFileNum: 1, // Start file numbering at 1
+            freeAllocBlocks: geometry.numAllocBlocks, // Initially all alloc blocks are free
+            volumeName: volumeName
         };
 
-        this.volumeInfo.dirStartBlock = BOOT_BLOCK_SECTORS + (1024 / SECTOR_SIZE); // MDB is 1024 bytes (2 sectors)
-        this.volumeInfo.dirLengthBlocks = 12; // Typical 12 sectors for directory
-        this.volumeInfo.allocBlockSize = allocBlockSize;
-        this.volumeInfo.allocBlockStartSector = this.volumeInfo.dirStartBlock + this.volumeInfo.dirLengthBlocks;
-
-        const totalSectors = totalSizeBytes / SECTOR_SIZE;
-        const numSectorsForAllocBlocks = totalSectors - this.volumeInfo.allocBlockStartSector;
-        this.volumeInfo.numAllocBlocks = Math.floor(numSectorsForAllocBlocks / (this.volumeInfo.allocBlockSize / SECTOR_SIZE));
-
-        this.volumeInfo.clumpSize = Math.max(this.volumeInfo.allocBlockSize * 8, this.volumeInfo.allocBlockSize); // e.g. 8192 for 1024 alloc blocks
-        this.volumeInfo.nextFileNum = 1; // Start file numbering at 1
-        this.volumeInfo.freeAllocBlocks = this.volumeInfo.numAllocBlocks; // Initially all alloc blocks are free (except dir if it uses them)
-        this.volumeInfo.volumeName = volumeName;
-
         // Write Boot Blocks (typically zeros for non-bootable data disk, or specific boot code)
         // For now, we leave them as zero since ArrayBuffer is zero-initialized.
 
@@ -228,13 +469,72 @@ class MFSVolume {
         console.log(`Volume "${this.volumeInfo.volumeName}" formatted and loaded.`);
     }
 
+    /**
+     * Computes the on-disk layout MFS would use for a volume of the given size, without creating it.
+     * The allocation block size is the smallest multiple of 512 bytes (at least 1024) that keeps the
+     * 12-bit Allocation Block Map within the two MDB sectors (at most 640 blocks), so a 400KB disk gets
+     * the classic 1024-byte blocks and larger volumes get proportionally larger blocks.
+     * @param {number} sizeKB - Volume size in kilobytes.
+     * @param {{dirSectors?: number}} [options] - `dirSectors` overrides the directory size (default: 12 per 400KB).
+     * @returns {{sizeKB: number, totalSectors: number, dirStartSector: number, dirSectors: number,
+     *   allocBlockStartSector: number, allocBlockSize: number, numAllocBlocks: number, abmBytes: number,
+     *   clumpSize: number, unusedSectors: number}}
+     */
+    static planGeometry(sizeKB, options = {}) {
+        if (typeof sizeKB !== 'number' || !(sizeKB > 0)) {
+            throw new Error(`Invalid volume size: ${sizeKB}KB.`);
+        }
+        const totalSizeBytes = sizeKB * 1024;
+        if (totalSizeBytes % SECTOR_SIZE !== 0) {
+            throw new Error(`Image size (${sizeKB}KB) must be a multiple of sector size (${SECTOR_SIZE} bytes).`);
+        }
+        const totalSectors = totalSizeBytes / SECTOR_SIZE;
+
+        const dirStartSector = BOOT_BLOCK_SECTORS + (MDB_SIZE / SECTOR_SIZE);
+        const dirSectors = options.dirSectors === undefined
+            ? DEFAULT_DIR_SECTORS_400K * Math.ceil(totalSectors / 800)
+            : options.dirSectors;
+        if (!Number.isInteger(dirSectors) || dirSectors < 1) {
+            throw new Error(`Invalid directory size: ${dirSectors} sectors.`);
+        }
+        const allocBlockStartSector = dirStartSector + dirSectors;
+        if (allocBlockStartSector > 0xFFFF) {
+            throw new Error(`Directory of ${dirSectors} sectors is too large: its end must be addressable with 16 bits.`);
+        }
+
+        const minSectorsPerBlock = DEFAULT_ALLOC_BLOCK_SIZE_400K / SECTOR_SIZE;
+        const dataSectors = totalSectors - allocBlockStartSector;
+        if (dataSectors < minSectorsPerBlock) {
+            throw new Error("Image size too small for basic MFS structures.");
+        }
+        const sectorsPerBlock = Math.max(minSectorsPerBlock, Math.ceil(dataSectors / MAX_ABM_ENTRIES));
+        const allocBlockSize = sectorsPerBlock * SECTOR_SIZE;
+        if (allocBlockSize > 0xFFFFFFFF) {
+            throw new Error(`Volume of ${sizeKB}KB is too large for MFS.`);
+        }
+        const numAllocBlocks = Math.floor(dataSectors / sectorsPerBlock);
+
+        return {
+            sizeKB,
+            totalSectors,
+            dirStartSector,
+            dirSectors,
+            allocBlockStartSector,
+            allocBlockSize,
+            numAllocBlocks,
+            abmBytes: Math.ceil(numAllocBlocks * 3 / 2),
+            clumpSize: allocBlockSize * 8,
+            unusedSectors: dataSectors - numAllocBlocks * sectorsPerBlock
+        };
+    }
+
     _parseMDB() {
         const mdbOffset = MDB_START_SECTOR * SECTOR_SIZE;
         this.volumeInfo = {};
         this.volumeInfo.signature = MFSLibUtils.readUint16BE(this.dataView, mdbOffset + 0);
-        if (this.volumeInfo.signature !== MFS_SIGNATURE && this.imageBuffer.byteLength > 0) { // Only throw if not creating a new one
+        if (this.volumeInfo.signature !== MFS_SIGNATURE && this.dataView.byteLength > 0) { // Only throw if not creating a new one
              // Allow proceeding if we are in _formatNewImage context before signature is written
-            if (!this.imageBuffer.byteLength === 0) { // A bit of a hack, better to pass context
+            if (!this.dataView.byteLength === 0) { // A bit of a hack, better to pass context
                 console.warn(`MDB not fully initialized yet or invalid signature: ${this.volumeInfo.signature.toString(16)}`);
             }
         }
@@ -293,8 +593,10 @@ class MFSVolume {
         MFSLibUtils.writePascalString(this.dataView, mdbOffset + 36, this.volumeInfo.volumeName, 28); // 1 byte len + 27 chars
 
         // Write Allocation Block Map (ABM)
-        const abmOffsetInMDB = 64;
-        const abmDiskOffset = mdbOffset + abmOffsetInMDB;
+        if (this.volumeInfo.numAllocBlocks > MAX_ABM_ENTRIES) {
+            throw new Error(`Allocation Block Map for ${this.volumeInfo.numAllocBlocks} blocks does not fit in the MDB (max ${MAX_ABM_ENTRIES} blocks).`);
+        }
+        const abmDiskOffset = mdbOffset + ABM_OFFSET_IN_MDB;
 
         // Initialize ABM area with zeros first if it's a new disk, or rely on existing values to be overwritten.
         // For formatting, this.abm might not be populated yet, so we initialize it.
@@ -313,7 +615,7 @@ class MFSVolume {
             let b0 = 0, b1 = 0, b2 = 0;
             // Read existing triplet if not fully overwriting (e.g. if this.abm is sparse)
             // However, for a full ABM write, we construct from this.abm
-            if (abmDiskOffset + byteOffsetInABMData + 2 < this.dataView.buffer.byteLength) {
+            if (abmDiskOffset + byteOffsetInABMData + 2 < this.dataView.byteLength) {
                  b0 = MFSLibUtils.readUint8(this.dataView, abmDiskOffset + byteOffsetInABMData);
                  b1 = MFSLibUtils.readUint8(this.dataView, abmDiskOffset + byteOffsetInABMData + 1);
                  b2 = MFSLibUtils.readUint8(this.dataView, abmDiskOffset + byteOffsetInABMData + 2);
@@ -349,7 +651,7 @@ class MFSVolume {
             // and "flFlags bit 7: 1=entry in use, 0=empty space (if last entry in block, marks end)"
             // So, writing 0 to the first byte of each sector should be enough to mark it empty.
             // Or, more simply, zero out the whole directory area.
-            if (dirStartOffset + offset < this.dataView.buffer.byteLength) {
+            if (dirStartOffset + offset < this.dataView.byteLength) {
                  MFSLibUtils.writeUint8(this.dataView, dirStartOffset + offset, 0x00); // Mark as not in use
             }
         }
@@ -362,75 +664,122 @@ class MFSVolume {
     _parseFileDirectory() {
         this.fileDirectory = [];
         const dirStartOffset = this.volumeInfo.dirStartBlock * SECTOR_SIZE;
-        const dirTotalBytes = this.volumeInfo.dirLengthBlocks * SECTOR_SIZE;
-        let currentOffsetInDir = 0;
 
-        while (currentOffsetInDir < dirTotalBytes) {
-            const entryStartDiskOffset = dirStartOffset + currentOffsetInDir;
-            if (entryStartDiskOffset >= this.dataView.buffer.byteLength) break;
+        // Entries never straddle a sector; an entry whose flags have bit 7 clear ends its sector.
+        for (let sector = 0; sector < this.volumeInfo.dirLengthBlocks; sector++) {
+            const sectorOffset = dirStartOffset + sector * SECTOR_SIZE;
+            if (sectorOffset + SECTOR_SIZE > this.dataView.byteLength) break;
 
-            const flFlags = MFSLibUtils.readUint8(this.dataView, entryStartDiskOffset);
-            
-            // If bit 7 of flFlags is 0, it's an empty space or end of entries in this part of directory
-            if ((flFlags & 0x80) === 0) {
-                // If it's the very first byte of a sector and it's 0, assume end of dir for that sector
-                // This logic might need refinement based on how MFS truly marks end of directory vs sparse entries
-                // For now, if we hit an unused entry, we assume it's the end for simplicity.
-                // A more robust parser would skip to next sector or look for next valid entry.
-                // The document says "if last entry in block, marks end".
-                // This implies we might need to know sector boundaries.
-                // For now, stop at first non-used entry.
-                break; 
-            }
-
-            const entry = {};
-            entry._diskOffset = entryStartDiskOffset;
-            entry.flags = flFlags;
-            entry.version = MFSLibUtils.readUint8(this.dataView, entryStartDiskOffset + 1); // Should be 0
-            entry.type = MFSLibUtils.readPascalString(this.dataView, entryStartDiskOffset + 2 -1, 4).substring(0,4); // Read 4 chars for OSType
-             // Correcting OSType reading: it's not a Pascal string, but 4 fixed chars.
-            entry.type = String.fromCharCode(
-                MFSLibUtils.readUint8(this.dataView, entryStartDiskOffset + 2),
-                MFSLibUtils.readUint8(this.dataView, entryStartDiskOffset + 3),
-                MFSLibUtils.readUint8(this.dataView, entryStartDiskOffset + 4),
-                MFSLibUtils.readUint8(this.dataView, entryStartDiskOffset + 5)
-            );
-            entry.creator = String.fromCharCode(
-                MFSLibUtils.readUint8(this.dataView, entryStartDiskOffset + 6),
-                MFSLibUtils.readUint8(this.dataView, entryStartDiskOffset + 7),
-                MFSLibUtils.readUint8(this.dataView, entryStartDiskOffset + 8),
-                MFSLibUtils.readUint8(this.dataView, entryStartDiskOffset + 9)
-            );
-            entry.finderFlags = MFSLibUtils.readUint16BE(this.dataView, entryStartDiskOffset + 10);
-            const flPosRaw = MFSLibUtils.readUint32BE(this.dataView, entryStartDiskOffset + 12);
-            entry.iconPosition = { v: flPosRaw >> 16, h: flPosRaw & 0xFFFF };
-            entry.folderNum = MFSLibUtils.readUint16BE(this.dataView, entryStartDiskOffset + 16); // Actually int16_t
-            entry.fileNum = MFSLibUtils.readUint32BE(this.dataView, entryStartDiskOffset + 18);
-            entry.dataForkStartBlock = MFSLibUtils.readUint16BE(this.dataView, entryStartDiskOffset + 22);
-            entry.dataForkLogicalLength = MFSLibUtils.readUint32BE(this.dataView, entryStartDiskOffset + 24);
-            entry.dataForkAllocLength = MFSLibUtils.readUint32BE(this.dataView, entryStartDiskOffset + 28);
-            entry.resourceForkStartBlock = MFSLibUtils.readUint16BE(this.dataView, entryStartDiskOffset + 32);
-            entry.resourceForkLogicalLength = MFSLibUtils.readUint32BE(this.dataView, entryStartDiskOffset + 34);
-            entry.resourceForkAllocLength = MFSLibUtils.readUint32BE(this.dataView, entryStartDiskOffset + 38);
-            entry.creationDate = MFSLibUtils.mfsTimestampToDate(MFSLibUtils.readUint32BE(this.dataView, entryStartDiskOffset + 42));
-            entry.modificationDate = MFSLibUtils.mfsTimestampToDate(MFSLibUtils.readUint32BE(this.dataView, entryStartDiskOffset + 46));
-            
-            const flNamLen = MFSLibUtils.readUint8(this.dataView, entryStartDiskOffset + 50);
-            entry.filename = "";
-            for (let k = 0; k < flNamLen; k++) {
-                entry.filename += String.fromCharCode(MFSLibUtils.readUint8(this.dataView, entryStartDiskOffset + 51 + k));
-            }
-            
-            entry._entryLength = 51 + flNamLen;
-            if (entry._entryLength % 2 !== 0) { // Pad to make total entry 2-byte aligned
-                entry._entryLength++;
+            let offsetInSector = 0;
+            while (offsetInSector + 51 < SECTOR_SIZE) {
+                const entryStartDiskOffset = sectorOffset + offsetInSector;
+                const flFlags = MFSLibUtils.readUint8(this.dataView, entryStartDiskOffset);
+                if ((flFlags & 0x80) === 0) break; // Rest of this sector is unused
+
+                const entryLength = MFSVolume._directoryEntryLength(MFSLibUtils.readUint8(this.dataView, entryStartDiskOffset + 50));
+                if (offsetInSector + entryLength > SECTOR_SIZE) {
+                    console.warn(`Directory entry at offset ${entryStartDiskOffset} runs past the end of its sector. Skipping rest of sector.`);
+                    break;
+                }
+
+                this.fileDirectory.push(this._readFileDirectoryEntry(entryStartDiskOffset));
+                offsetInSector += entryLength;
             }
-            
-            this.fileDirectory.push(entry);
-            currentOffsetInDir += entry._entryLength;
         }
     }
 
+    /**
+     * Reads the directory entry stored at the given offset, whether or not it is in use.
+     * @param {number} entryStartDiskOffset - Byte offset of the entry in the image.
+     * @returns {object} The parsed MFSFileEntry object.
+     */
+    _readFileDirectoryEntry(entryStartDiskOffset) {
+        const entry = {};
+        entry._diskOffset = entryStartDiskOffset;
+        entry.flags = MFSLibUtils.readUint8(this.dataView, entryStartDiskOffset);
+        entry.version = MFSLibUtils.readUint8(this.dataView, entryStartDiskOffset + 1); // Should be 0
+        // OSType is not a Pascal string, but 4 fixed chars.
+        entry.type = MFSLibUtils.decodeMacRoman(MFSLibUtils.readBytes(this.dataView, entryStartDiskOffset + 2, 4));
+        entry.creator = MFSLibUtils.decodeMacRoman(MFSLibUtils.readBytes(this.dataView, entryStartDiskOffset + 6, 4));
+        entry.finderFlags = MFSLibUtils.readUint16BE(this.dataView, entryStartDiskOffset + 10);
+        const flPosRaw = MFSLibUtils.readUint32BE(this.dataView, entryStartDiskOffset + 12);
+        entry.iconPosition = { v: flPosRaw >> 16, h: flPosRaw & 0xFFFF };
+        entry.folderNum = MFSLibUtils.readUint16BE(this.dataView, entryStartDiskOffset + 16) << 16 >> 16; // int16: -2 desktop, -3 trash
+        entry.fileNum = MFSLibUtils.readUint32BE(this.dataView, entryStartDiskOffset + 18);
+        entry.dataForkStartBlock = MFSLibUtils.readUint16BE(this.dataView, entryStartDiskOffset + 22);
+        entry.dataForkLogicalLength = MFSLibUtils.readUint32BE(this.dataView, entryStartDiskOffset + 24);
+        entry.dataForkAllocLength = MFSLibUtils.readUint32BE(this.dataView, entryStartDiskOffset + 28);
+        entry.resourceForkStartBlock = MFSLibUtils.readUint16BE(this.dataView, entryStartDiskOffset + 32);
+        entry.resourceForkLogicalLength = MFSLibUtils.readUint32BE(this.dataView, entryStartDiskOffset + 34);
+        entry.resourceForkAllocLength = MFSLibUtils.readUint32BE(this.dataView, entryStartDiskOffset + 38);
+        entry.creationDate = MFSLibUtils.mfsTimestampToDate(MFSLibUtils.readUint32BE(this.dataView, entryStartDiskOffset + 42));
+        entry.modificationDate = MFSLibUtils.mfsTimestampToDate(MFSLibUtils.readUint32BE(this.dataView, entryStartDiskOffset + 46));
+
+        const flNamLen = MFSLibUtils.readUint8(this.dataView, entryStartDiskOffset + 50);
+        entry.filename = MFSLibUtils.decodeMacRoman(MFSLibUtils.readBytes(this.dataView, entryStartDiskOffset + 51, flNamLen));
+
+        entry._entryLength = MFSVolume._directoryEntryLength(flNamLen);
+        return entry;
+    }
+
+    /**
+     * Checks a file or volume name against the Finder's rules: non-empty, no colons (the Mac's
+     * path separator), representable in Mac OS Roman and at most `maxLength` characters.
+     * @param {string} name
+     * @param {number} maxLength - MAX_FILENAME_LENGTH or MAX_VOLUME_NAME_LENGTH.
+     * @param {string} [what="Filename"] - Used in error messages.
+     * @returns {string} The name, NFC-normalized as it will be stored.
+     */
+    static _validateName(name, maxLength, what = "Filename") {
+        if (typeof name !== 'string' || name.length === 0) {
+            throw new Error(`${what} must be a non-empty string.`);
+        }
+        if (name.includes(':')) {
+            throw new Error(`${what} "${name}" must not contain a colon.`);
+        }
+        const bytes = MFSLibUtils.encodeMacRoman(name);
+        if (bytes.length > maxLength) {
+            throw new Error(`${what} "${name}" is longer than ${maxLength} characters.`);
+        }
+        return name.normalize('NFC');
+    }
+
+    /**
+     * Checks that a file type or creator code is 4 Mac OS Roman characters.
+     * @param {string} code
+     * @returns {boolean}
+     */
+    static _isValidOSType(code) {
+        return typeof code === 'string' && MFSLibUtils.isMacRomanEncodable(code) && MFSLibUtils.encodeMacRoman(code).length === 4;
+    }
+
+    /**
+     * Size on disk of a directory entry: 51 fixed bytes plus the name, padded to a 2-byte boundary.
+     * @param {number} nameLength - Length of the filename in bytes.
+     * @returns {number}
+     */
+    static _directoryEntryLength(nameLength) {
+        const length = 51 + nameLength;
+        return length % 2 === 0 ? length : length + 1;
+    }
+
+    /**
+     * Finds where the in-use entries of a directory sector end.
+     * @param {number} sectorOffset - Byte offset of the directory sector in the image.
+     * @returns {number} Offset within the sector of the first unused byte.
+     */
+    _directorySectorUsedLength(sectorOffset) {
+        let offsetInSector = 0;
+        while (offsetInSector + 51 < SECTOR_SIZE) {
+            const flFlags = MFSLibUtils.readUint8(this.dataView, sectorOffset + offsetInSector);
+            if ((flFlags & 0x80) === 0) break;
+            const entryLength = MFSVolume._directoryEntryLength(MFSLibUtils.readUint8(this.dataView, sectorOffset + offsetInSector + 50));
+            if (offsetInSector + entryLength > SECTOR_SIZE) break;
+            offsetInSector += entryLength;
+        }
+        return offsetInSector;
+    }
+
     _getABMEntry(mfsBlockNum) {
         // MFS blocks are 2-indexed (start from 2). ABM array is 0-indexed.
         if (mfsBlockNum < 2 || mfsBlockNum >= this.volumeInfo.numAllocBlocks + 2) {
@@ -450,7 +799,36 @@ class MFSVolume {
         // Note: This only updates the in-memory ABM. _writeMDB() is needed to persist.
     }
 
-    _findFreeBlocks(count) {
+    /**
+     * Picks free blocks for a new chain, preferring one contiguous run: first the blocks right
+     * after `after` (so a growing fork continues in place), then the first free run long enough
+     * for the whole request. Only if no such run exists are free blocks taken in disk order.
+     * @param {number} count - Number of blocks needed.
+     * @param {number} [after=0] - Last block of the chain being extended, or 0.
+     * @returns {number[]} MFS block numbers in chain order.
+     */
+    _findFreeBlocks(count, after = 0) {
+        const lastBlock = this.volumeInfo.numAllocBlocks + 1;
+        const isFree = (block) => this.abm[block - 2] === 0x000;
+        const run = (first) => Array.from({ length: count }, (_, i) => first + i);
+
+        if (after >= 2 && after + count <= lastBlock) {
+            let length = 0;
+            while (length < count && isFree(after + 1 + length)) length++;
+            if (length === count) return run(after + 1);
+        }
+
+        let runStart = 0;
+        let runLength = 0;
+        for (let block = 2; block <= lastBlock; block++) {
+            if (!isFree(block)) {
+                runLength = 0;
+                continue;
+            }
+            if (runLength === 0) runStart = block;
+            if (++runLength === count) return run(runStart);
+        }
+
         const freeBlocks = [];
         // MFS blocks are 2-indexed. ABM array is 0-indexed.
         for (let i = 0; i < this.volumeInfo.numAllocBlocks && freeBlocks.length < count; i++) {
@@ -464,7 +842,16 @@ class MFSVolume {
         return freeBlocks;
     }
 
-    _allocateBlockChain(numBlocks) {
+    /**
+     * Allocates and links a new block chain.
+     * @param {number} numBlocks - Number of blocks needed.
+     * @param {{after?: number, clump?: boolean}} [options] - `after`: last block of the chain being
+     *   extended, so the new blocks can follow it directly. `clump: true` rounds the request up to a
+     *   multiple of the volume's clump size (as far as free space allows), as the Mac does when a
+     *   file grows, to keep files that grow piecemeal from fragmenting.
+     * @returns {{startBlock: number, allocatedBlocks: number[]}} The chain, possibly longer than numBlocks with `clump`.
+     */
+    _allocateBlockChain(numBlocks, options = {}) {
         if (numBlocks === 0) {
             return { startBlock: 0, allocatedBlocks: [] };
         }
@@ -472,7 +859,12 @@ class MFSVolume {
             throw new Error(`Not enough free blocks in volume. Requested ${numBlocks}, available ${this.volumeInfo.freeAllocBlocks}.`);
         }
 
-        const allocatedMFSBlockNumbers = this._findFreeBlocks(numBlocks);
+        let count = numBlocks;
+        if (options.clump) {
+            const clumpBlocks = Math.max(1, Math.floor(this.volumeInfo.clumpSize / this.volumeInfo.allocBlockSize));
+            count = Math.min(Math.ceil(numBlocks / clumpBlocks) * clumpBlocks, this.volumeInfo.freeAllocBlocks);
+        }
+        const allocatedMFSBlockNumbers = this._findFreeBlocks(count, options.after);
         
         for (let i = 0; i < allocatedMFSBlockNumbers.length; i++) {
             const currentMFSBlock = allocatedMFSBlockNumbers[i];
@@ -485,7 +877,7 @@ class MFSVolume {
             }
         }
         
-        this.volumeInfo.freeAllocBlocks -= numBlocks;
+        this.volumeInfo.freeAllocBlocks -= count;
         // Caller must ensure _writeMDB() is called to persist changes.
         return {
             startBlock: allocatedMFSBlockNumbers[0],
@@ -520,38 +912,76 @@ class MFSVolume {
         return freedCount;
     }
 
+    /**
+     * Follows a block chain through the ABM without modifying anything.
+     * Stops at the EOF marker, at the first invalid link, or when a block repeats.
+     * @param {number} startMFSBlockNum - First MFS block of the chain (0 for an empty fork).
+     * @returns {{blocks: number[], error: ?{reason: 'badStart'|'freeBlock'|'badPointer'|'loop', block: number, next: number}}}
+     * `blocks` holds every valid, distinct block visited in chain order.
+     */
+    _walkBlockChain(startMFSBlockNum) {
+        const blocks = [];
+        if (startMFSBlockNum === 0) return { blocks, error: null };
+
+        const maxBlock = this.volumeInfo.numAllocBlocks + 1;
+        if (startMFSBlockNum < 2 || startMFSBlockNum > maxBlock) {
+            return { blocks, error: { reason: 'badStart', block: startMFSBlockNum, next: startMFSBlockNum } };
+        }
+
+        const visited = new Set();
+        let currentMFSBlock = startMFSBlockNum;
+        while (true) {
+            visited.add(currentMFSBlock);
+            blocks.push(currentMFSBlock);
+
+            const next = this.abm[currentMFSBlock - 2];
+            if (next === 0x001) return { blocks, error: null };
+            if (next === 0x000) {
+                return { blocks, error: { reason: 'freeBlock', block: currentMFSBlock, next } };
+            }
+            if (next < 2 || next > maxBlock) {
+                return { blocks, error: { reason: 'badPointer', block: currentMFSBlock, next } };
+            }
+            if (visited.has(next)) {
+                return { blocks, error: { reason: 'loop', block: currentMFSBlock, next } };
+            }
+            currentMFSBlock = next;
+        }
+    }
+
+    /**
+     * Looks a file up by name, ignoring case and diacritical marks as the Mac does.
+     * @param {string} filename
+     * @returns {{entry: object, indexInArray: number, diskOffset: number} | null}
+     */
     _findFileEntryByName(filename) {
+        const key = MFSLibUtils.nameKey(filename);
         for (let i = 0; i < this.fileDirectory.length; i++) {
-            if (this.fileDirectory[i].filename === filename) {
+            if (MFSLibUtils.nameKey(this.fileDirectory[i].filename) === key) {
                 return { entry: this.fileDirectory[i], indexInArray: i, diskOffset: this.fileDirectory[i]._diskOffset };
             }
         }
         return null; // Not found
     }
 
-    _findFreeDirectorySlot() {
+    /**
+     * Finds room for a new directory entry. Space freed by deleted entries is reused,
+     * and an entry is only placed where it fits entirely within one sector.
+     * @param {number} entryLength - Size of the entry to place (see _directoryEntryLength).
+     * @returns {number} The disk offset for the new entry.
+     */
+    _findFreeDirectorySlot(entryLength) {
         const dirStartOffsetOnDisk = this.volumeInfo.dirStartBlock * SECTOR_SIZE;
-        const dirTotalBytesOnDisk = this.volumeInfo.dirLengthBlocks * SECTOR_SIZE;
-        let currentOffsetInDirArea = 0; // Relative to start of directory area on disk
-
-        // Iterate through existing entries to find the end or an empty slot
-        let lastEntryEndOffset = 0;
-        for (const entry of this.fileDirectory) {
-            lastEntryEndOffset = Math.max(lastEntryEndOffset, (entry._diskOffset - dirStartOffsetOnDisk) + entry._entryLength);
-        }
-        currentOffsetInDirArea = lastEntryEndOffset;
 
-        // Check if there's space after the last known entry within the current directory area
-        // Smallest possible new entry: 51 (header) + 0 (name) + 1 (padding for name) = 52 bytes.
-        // For safety, let's assume a slightly larger minimum if needed, but 52 is a good check.
-        if (currentOffsetInDirArea + 52 <= dirTotalBytesOnDisk) { // 52 is a minimal entry size
-            return dirStartOffsetOnDisk + currentOffsetInDirArea;
+        for (let sector = 0; sector < this.volumeInfo.dirLengthBlocks; sector++) {
+            const sectorOffset = dirStartOffsetOnDisk + sector * SECTOR_SIZE;
+            const usedLength = this._directorySectorUsedLength(sectorOffset);
+            if (usedLength + entryLength <= SECTOR_SIZE) {
+                return sectorOffset + usedLength;
+            }
         }
 
-        // More complex: if directory can expand into allocation blocks (marked 0xFFF in ABM)
-        // This is not implemented yet as per plan simplicity.
-        // For now, if no space in contiguous directory area, throw error.
-        throw new Error("File directory is full. Expansion not yet supported.");
+        throw new Error("File directory is full. Use growDirectory() to make room for more entries.");
     }
 
     _writeFileDirectoryEntry(entryObject, diskOffset) {
@@ -559,13 +989,12 @@ class MFSVolume {
         MFSLibUtils.writeUint8(this.dataView, diskOffset + 0, entryObject.flags);
         MFSLibUtils.writeUint8(this.dataView, diskOffset + 1, entryObject.version || 0);
 
-        // Write Type (4 chars)
-        for (let i = 0; i < 4; i++) {
-            MFSLibUtils.writeUint8(this.dataView, diskOffset + 2 + i, (entryObject.type.charCodeAt(i) || 0x3F)); // '?' if char missing
-        }
-        // Write Creator (4 chars)
+        // Write Type and Creator (4 chars each)
+        const typeBytes = MFSLibUtils.encodeMacRoman(entryObject.type);
+        const creatorBytes = MFSLibUtils.encodeMacRoman(entryObject.creator);
         for (let i = 0; i < 4; i++) {
-            MFSLibUtils.writeUint8(this.dataView, diskOffset + 6 + i, (entryObject.creator.charCodeAt(i) || 0x3F));
+            MFSLibUtils.writeUint8(this.dataView, diskOffset + 2 + i, i < typeBytes.length ? typeBytes[i] : 0x3F); // '?' if char missing
+            MFSLibUtils.writeUint8(this.dataView, diskOffset + 6 + i, i < creatorBytes.length ? creatorBytes[i] : 0x3F);
         }
 
         MFSLibUtils.writeUint16BE(this.dataView, diskOffset + 10, entryObject.finderFlags);
@@ -582,11 +1011,10 @@ class MFSVolume {
         MFSLibUtils.writeUint32BE(this.dataView, diskOffset + 42, MFSLibUtils.dateToMFSTimestamp(entryObject.creationDate));
         MFSLibUtils.writeUint32BE(this.dataView, diskOffset + 46, MFSLibUtils.dateToMFSTimestamp(entryObject.modificationDate));
 
-        const nameLen = Math.min(entryObject.filename.length, 255);
+        const nameBytes = MFSLibUtils.encodeMacRoman(entryObject.filename);
+        const nameLen = Math.min(nameBytes.length, 255);
         MFSLibUtils.writeUint8(this.dataView, diskOffset + 50, nameLen);
-        for (let i = 0; i < nameLen; i++) {
-            MFSLibUtils.writeUint8(this.dataView, diskOffset + 51 + i, entryObject.filename.charCodeAt(i));
-        }
+        MFSLibUtils.writeBytes(this.dataView, diskOffset + 51, nameBytes.subarray(0, nameLen));
 
         // Pad the entry to be 2-byte aligned if necessary
         let totalLength = 51 + nameLen;
@@ -596,44 +1024,121 @@ class MFSVolume {
         // Note: this.fileDirectory array needs to be updated by the caller after this.
     }
 
+    /**
+     * Takes an entry out of its directory sector. The entries that follow it are moved up and the
+     * removed entry, with bit 7 of its flags cleared, is kept right after them where it now marks
+     * the end of the sector's in-use entries.
+     * @param {number} diskOffset - Offset of the entry to remove.
+     * @param {number} entryLength - Size of the entry on disk.
+     */
+    _removeDirectoryEntry(diskOffset, entryLength) {
+        const sectorOffset = diskOffset - (diskOffset % SECTOR_SIZE);
+        const usedEnd = sectorOffset + this._directorySectorUsedLength(sectorOffset);
+
+        const removed = MFSLibUtils.readBytes(this.dataView, diskOffset, entryLength);
+        const following = MFSLibUtils.readBytes(this.dataView, diskOffset + entryLength, usedEnd - diskOffset - entryLength);
+        removed[0] &= 0x7F;
+        MFSLibUtils.writeBytes(this.dataView, diskOffset, following);
+        MFSLibUtils.writeBytes(this.dataView, diskOffset + following.length, removed);
+    }
+
+    /**
+     * Marks the bytes from diskOffset to the end of its directory sector as unused,
+     * so stale bytes left there are never read as an entry.
+     * @param {number} diskOffset - Offset just past the last in-use entry of a sector.
+     */
+    _markDirectorySectorEnd(diskOffset) {
+        if (diskOffset % SECTOR_SIZE !== 0) {
+            const flags = MFSLibUtils.readUint8(this.dataView, diskOffset);
+            MFSLibUtils.writeUint8(this.dataView, diskOffset, flags & 0x7F);
+        }
+    }
+
 
     // Public API methods from the plan
 
     /**
      * Creates a new empty file with the given metadata.
-     * @param {string} filename - The name of the file. Max 255 chars, typically 63 for Finder.
+     * @param {string} filename - The name of the file: up to 63 Mac OS Roman characters, no colons.
      * @param {{type: string, creator: string, folderNum?: number, finderFlags?: number, creationDate?: Date, modDate?: Date}} metadata
+     * @param {{force?: boolean}} [options] - `force: true` writes even if the volume is locked.
      * @returns {object} The created file entry information.
      */
-    createFile(filename, metadata) {
-        if (!filename || filename.length > 255) {
-            throw new Error("Invalid filename or filename too long.");
-        }
-        if (!metadata || !metadata.type || !metadata.creator || metadata.type.length !== 4 || metadata.creator.length !== 4) {
+    createFile(filename, metadata, options = {}) {
+        filename = MFSVolume._validateName(filename, MAX_FILENAME_LENGTH);
+        if (!metadata || !MFSVolume._isValidOSType(metadata.type) || !MFSVolume._isValidOSType(metadata.creator)) {
             throw new Error("File type and creator (4 chars each) are required in metadata.");
         }
         // For createFile, data and resource forks are initially empty.
-        return this.writeFile(filename, null, null, metadata);
+        return this.writeFile(filename, null, null, metadata, options);
     }
 
     /**
      * Writes a file to the MFS volume. Can create a new file or overwrite an existing one.
+     * An existing file is updated in place (see writeFork): it keeps its file number, creation date,
+     * Finder flags, icon position and folder unless `metadata` provides new values, and is left
+     * untouched if the new contents don't fit. Likewise, a new file that doesn't fit (disk or
+     * directory full) leaves no trace.
      * @param {string} filename
      * @param {ArrayBuffer | null} dataForkContent
      * @param {ArrayBuffer | null} resourceForkContent
-     * @param {{type: string, creator: string, folderNum?: number, finderFlags?: number, creationDate?: Date, modDate?: Date}} metadata
+     * @param {?{type?: string, creator?: string, folderNum?: number, finderFlags?: number, creationDate?: Date, modDate?: Date}} metadata -
+     *   Type and creator are required for a new file; for an existing file, only the fields given are changed (null changes none).
+     * @param {{force?: boolean, layout?: 'grid' | 'name' | 'type', iconSize?: number, windowWidth?: number}} [options] -
+     *   `force: true` writes even if the file or the volume is locked. `layout: 'grid'` gives a new file the first
+     *   free icon position in its window; 'name' and 'type' re-arrange the whole window (see arrangeIcons()).
+     *   Without it, new files get icon position (0, 0).
      * @returns {object} The file entry information.
      */
-    writeFile(filename, dataForkContent, resourceForkContent, metadata) {
+    writeFile(filename, dataForkContent, resourceForkContent, metadata, options = {}) {
         console.log(`writeFile called for: ${filename}`);
+        for (const key of ['type', 'creator']) {
+            if (metadata && metadata[key] && !MFSVolume._isValidOSType(metadata[key])) {
+                throw new Error(`File ${key} must be 4 Mac OS Roman characters.`);
+            }
+        }
+        const layout = options.layout ? MFSVolume._iconGrid(options) : null;
         const existingFile = this._findFileEntryByName(filename);
+        this._assertWritable(existingFile ? existingFile.entry : null, options);
         if (existingFile) {
-            console.log(`File "${filename}" exists. Deleting before writing new version.`);
-            // As per plan: "assume it deletes if exists then creates"
-            // This is a simplification. True overwrite would be more complex.
-            this.deleteFile(filename); // deleteFile will update MDB and in-memory directory
+            console.log(`File "${filename}" exists. Updating it in place.`);
+            // Both forks are rewritten in turn; a failure on the second must not leave the first replaced
+            return this.transaction(() => {
+                const info = this._rewriteFile(existingFile.entry, dataForkContent, resourceForkContent, metadata);
+                return layout && layout.by !== 'grid' ? this._placeIcon(info, layout, options) : info;
+            });
+        }
+        filename = MFSVolume._validateName(filename, MAX_FILENAME_LENGTH);
+        if (!metadata || !metadata.type || !metadata.creator) {
+            throw new Error("File type and creator (4 chars each) are required in metadata.");
+        }
+        // Blocks are allocated before the directory entry is placed; undo them if that fails
+        return this.transaction(() => {
+            const info = this._writeNewFile(filename, dataForkContent, resourceForkContent, metadata);
+            return layout ? this._placeIcon(info, layout, options) : info;
+        });
+    }
+
+    // Gives a just-written file its icon position according to writeFile()'s layout option
+    _placeIcon(info, layout, options) {
+        if (info.finderFlags & FINDER_FLAG_INVISIBLE) return info;
+        if (layout.by !== 'grid') {
+            this._arrangeWindow(info.folderNum, layout, options);
+            return this.getFileInfo(info.filename);
         }
+        const others = this._windowIcons(info.folderNum)
+            .filter(icon => !MFSLibUtils.namesEqual(icon.name, info.filename));
+        for (let index = 0; ; index++) {
+            const position = layout.positionAt(index);
+            const overlaps = others.some(icon => Math.abs(icon.iconPosition.h - position.h) < layout.cellWidth
+                && Math.abs(icon.iconPosition.v - position.v) < layout.cellHeight);
+            if (!overlaps) {
+                return this.setFileInfo(info.filename, { iconPosition: position }, options);
+            }
+        }
+    }
 
+    _writeNewFile(filename, dataForkContent, resourceForkContent, metadata) {
         const dataSize = dataForkContent ? dataForkContent.byteLength : 0;
         const rsrcSize = resourceForkContent ? resourceForkContent.byteLength : 0;
 
@@ -650,7 +1155,8 @@ class MFSVolume {
             rsrcForkAllocInfo = this._allocateBlockChain(blocksForRsrc);
         }
 
-        const newEntryDiskOffset = this._findFreeDirectorySlot();
+        const entryLength = MFSVolume._directoryEntryLength(filename.length);
+        const newEntryDiskOffset = this._findFreeDirectorySlot(entryLength);
 
         const now = new Date();
         const fileEntry = {
@@ -672,18 +1178,11 @@ class MFSVolume {
             modificationDate: metadata.modDate || now,
             filename: filename,
             _diskOffset: newEntryDiskOffset, // Store for in-memory representation
-             // _entryLength will be calculated after writing name
+            _entryLength: entryLength
         };
-        
-        // Calculate entry length for in-memory representation
-        let nameLenForCalc = Math.min(filename.length, 255);
-        fileEntry._entryLength = 51 + nameLenForCalc;
-        if (fileEntry._entryLength % 2 !== 0) {
-            fileEntry._entryLength++;
-        }
-
 
         this._writeFileDirectoryEntry(fileEntry, newEntryDiskOffset);
+        this._markDirectorySectorEnd(newEntryDiskOffset + entryLength);
 
         // Write Data Fork Content
         if (dataForkContent && dataForkAllocInfo.allocatedBlocks.length > 0) {
@@ -705,58 +1204,690 @@ class MFSVolume {
         // A full re-parse is safest for now, or intelligently add/update.
         // For simplicity of this step, add to in-memory array.
         // A more robust solution would sort or manage order if it matters.
-        this.fileDirectory.push(JSON.parse(JSON.stringify(fileEntry))); // Add a copy
+        this.fileDirectory.push({ ...fileEntry, iconPosition: { ...fileEntry.iconPosition } }); // Add a copy (keeps Date objects intact)
 
         console.log(`File "${filename}" written successfully. File num: ${fileEntry.fileNum}`);
         return this.getFileInfo(filename); // Return a clean copy of the info
     }
 
-    _writeForkData(contentBuffer, allocatedBlocks) {
-        let bytesWritten = 0;
-        const totalBytesToWrite = contentBuffer.byteLength;
-        const sourceView = new Uint8Array(contentBuffer);
-
-        for (let i = 0; i < allocatedBlocks.length; i++) {
-            const mfsBlockNum = allocatedBlocks[i];
-            const blockDiskOffset = (this.volumeInfo.allocBlockStartSector + (mfsBlockNum - 2) * (this.volumeInfo.allocBlockSize / SECTOR_SIZE)) * SECTOR_SIZE;
-            
-            const bytesRemainingInFile = totalBytesToWrite - bytesWritten;
-            const bytesToWriteInThisBlock = Math.min(this.volumeInfo.allocBlockSize, bytesRemainingInFile);
-
-            for (let j = 0; j < bytesToWriteInThisBlock; j++) {
-                MFSLibUtils.writeUint8(this.dataView, blockDiskOffset + j, sourceView[bytesWritten + j]);
-            }
-            bytesWritten += bytesToWriteInThisBlock;
-            if (bytesWritten >= totalBytesToWrite) break;
+    /**
+     * Replaces both forks and the metadata of an existing file, reusing its block chains.
+     * Checks for enough free space before changing anything.
+     */
+    _rewriteFile(entry, dataForkContent, resourceForkContent, metadata) {
+        metadata = metadata || {}; // Optional for an existing file, and callers may pass null
+        const forks = [
+            { forkType: 'data', content: dataForkContent },
+            { forkType: 'resource', content: resourceForkContent }
+        ];
+        let extraBlocksNeeded = 0;
+        for (const fork of forks) {
+            fork.length = fork.content ? fork.content.byteLength : 0;
+            fork.blockCount = Math.ceil(fork.length / this.volumeInfo.allocBlockSize);
+            const currentBlocks = entry[FORK_FIELDS[fork.forkType].allocLength] / this.volumeInfo.allocBlockSize;
+            extraBlocksNeeded += Math.max(0, fork.blockCount - currentBlocks);
         }
-    }
-    
-    deleteFile(filename) {
-        const fileInfo = this._findFileEntryByName(filename);
-        if (!fileInfo) {
-            throw new Error(`File not found for deletion: ${filename}`);
+        if (extraBlocksNeeded > this.volumeInfo.freeAllocBlocks) {
+            throw new Error(`Not enough free blocks in volume. Requested ${extraBlocksNeeded}, available ${this.volumeInfo.freeAllocBlocks}.`);
         }
-        const { entry, indexInArray, diskOffset } = fileInfo;
 
-        // Free blocks for data fork
-        this._freeBlockChain(entry.dataForkStartBlock);
-        // Free blocks for resource fork
-        this._freeBlockChain(entry.resourceForkStartBlock);
+        for (const fork of forks) {
+            const blocks = this._resizeForkChain(entry, fork.forkType, fork.blockCount);
+            if (fork.length > 0) {
+                this._writeForkData(fork.content, blocks);
+            }
+            entry[FORK_FIELDS[fork.forkType].logicalLength] = fork.length;
+        }
 
-        // Mark directory entry as unused: clear bit 7 of flFlags
-        const currentFlags = MFSLibUtils.readUint8(this.dataView, diskOffset);
-        MFSLibUtils.writeUint8(this.dataView, diskOffset, currentFlags & 0x7F); // Clear bit 7 (0x80)
+        if (metadata.type) entry.type = metadata.type;
+        if (metadata.creator) entry.creator = metadata.creator;
+        if (metadata.finderFlags !== undefined) entry.finderFlags = metadata.finderFlags;
+        if (metadata.folderNum !== undefined) entry.folderNum = metadata.folderNum;
+        if (metadata.creationDate) entry.creationDate = metadata.creationDate;
+        entry.modificationDate = metadata.modDate || new Date();
+        this._writeFileDirectoryEntry(entry, entry._diskOffset);
 
-        // Update MDB
-        this.volumeInfo.numFiles--;
         this.volumeInfo.modificationDate = new Date();
-        // freeAllocBlocks is updated by _freeBlockChain
         this._writeMDB();
+        console.log(`File "${entry.filename}" rewritten in place. File num: ${entry.fileNum}`);
+        return this.getFileInfo(entry.filename);
+    }
 
-        // Update in-memory file directory
-        this.fileDirectory.splice(indexInArray, 1);
-        console.log(`File "${filename}" deleted.`);
-        return true;
+    /**
+     * Replaces the contents of one fork of an existing file. The fork's block chain is grown or
+     * shrunk in place; only the fork lengths and the modification date change in the directory entry.
+     * Throws without modifying the volume if there is not enough free space.
+     * @param {string} filename - The name of the file.
+     * @param {'data' | 'resource'} forkType - The fork to replace.
+     * @param {ArrayBuffer | null} content - The new fork contents (null for an empty fork).
+     * @param {{force?: boolean}} [options] - `force: true` writes even if the file or the volume is locked.
+     * @returns {object} The updated file information.
+     */
+    writeFork(filename, forkType, content, options = {}) {
+        const entry = this._getFileEntryForFork(filename, forkType);
+        this._assertWritable(entry, options);
+        const length = content ? content.byteLength : 0;
+
+        return this.transaction(() => {
+            const blocks = this._resizeForkChain(entry, forkType, Math.ceil(length / this.volumeInfo.allocBlockSize));
+            if (length > 0) {
+                this._writeForkData(content, blocks);
+            }
+            entry[FORK_FIELDS[forkType].logicalLength] = length;
+            this._touchFileEntry(entry);
+            return this.getFileInfo(entry.filename);
+        });
+    }
+
+    /**
+     * Appends bytes to the end of one fork of an existing file, extending its block chain as needed.
+     * New blocks are allocated in clumps (the volume's clumpSize) right after the existing ones where possible.
+     * Throws without modifying the volume if there is not enough free space.
+     * @param {string} filename - The name of the file.
+     * @param {'data' | 'resource'} forkType - The fork to extend.
+     * @param {ArrayBuffer} content - The bytes to append.
+     * @param {{force?: boolean}} [options] - `force: true` writes even if the file or the volume is locked.
+     * @returns {object} The updated file information.
+     */
+    appendToFork(filename, forkType, content, options = {}) {
+        const entry = this._getFileEntryForFork(filename, forkType);
+        this._assertWritable(entry, options);
+        const fields = FORK_FIELDS[forkType];
+        const oldLength = entry[fields.logicalLength];
+        const newLength = oldLength + content.byteLength;
+
+        return this.transaction(() => {
+            const blocks = this._resizeForkChain(entry, forkType, Math.ceil(newLength / this.volumeInfo.allocBlockSize), { grow: true });
+            this._writeForkRange(blocks, oldLength, new Uint8Array(content));
+            entry[fields.logicalLength] = newLength;
+            this._touchFileEntry(entry);
+            return this.getFileInfo(entry.filename);
+        });
+    }
+
+    /**
+     * Shortens one fork of an existing file, freeing the allocation blocks it no longer needs.
+     * @param {string} filename - The name of the file.
+     * @param {'data' | 'resource'} forkType - The fork to shorten.
+     * @param {number} [newLength=0] - The new fork length in bytes. Must not exceed the current length.
+     * @param {{force?: boolean}} [options] - `force: true` writes even if the file or the volume is locked.
+     * @returns {object} The updated file information.
+     */
+    truncateFork(filename, forkType, newLength = 0, options = {}) {
+        const entry = this._getFileEntryForFork(filename, forkType);
+        this._assertWritable(entry, options);
+        const fields = FORK_FIELDS[forkType];
+        if (!Number.isInteger(newLength) || newLength < 0 || newLength > entry[fields.logicalLength]) {
+            throw new Error(`Invalid length ${newLength} for truncating ${forkType} fork of "${filename}" (currently ${entry[fields.logicalLength]} bytes).`);
+        }
+
+        return this.transaction(() => {
+            this._resizeForkChain(entry, forkType, Math.ceil(newLength / this.volumeInfo.allocBlockSize));
+            entry[fields.logicalLength] = newLength;
+            this._touchFileEntry(entry);
+            return this.getFileInfo(entry.filename);
+        });
+    }
+
+    _getFileEntryForFork(filename, forkType) {
+        if (!FORK_FIELDS[forkType]) {
+            throw new Error(`Invalid fork type: ${forkType}. Must be 'data' or 'resource'.`);
+        }
+        const found = this._findFileEntryByName(filename);
+        if (!found) {
+            throw new Error(`File not found: ${filename}`);
+        }
+        return found.entry;
+    }
+
+    /**
+     * Sets the modification dates of a changed file and the volume, and writes both back to disk.
+     */
+    _touchFileEntry(entry) {
+        const now = new Date();
+        entry.modificationDate = now;
+        this._writeFileDirectoryEntry(entry, entry._diskOffset);
+        this.volumeInfo.modificationDate = now;
+        this._writeMDB();
+    }
+
+    /**
+     * Returns the blocks of a fork in chain order, throwing if the chain is corrupted.
+     * @returns {number[]}
+     */
+    _getForkBlocks(entry, forkType) {
+        const walk = this._walkBlockChain(entry[FORK_FIELDS[forkType].startBlock]);
+        if (walk.error) {
+            throw new Error(`Corrupted file chain for ${entry.filename} (fork: ${forkType}) at MFS block ${walk.error.block}. Next indicator: ${walk.error.next}`);
+        }
+        return walk.blocks;
+    }
+
+    /**
+     * Grows or shrinks a fork's block chain to exactly `blockCount` blocks, keeping the blocks it
+     * already has. Updates the entry's start block and allocated length (not its logical length).
+     * Nothing is modified if the volume lacks the free blocks to grow the chain.
+     * @param {{grow?: boolean}} [options] - `grow: true` is for appending writes: the chain is never
+     *   shrunk, and new blocks are allocated in clumps (see _allocateBlockChain), so it may end up
+     *   longer than `blockCount`.
+     * @returns {number[]} The fork's blocks in chain order after resizing.
+     */
+    _resizeForkChain(entry, forkType, blockCount, options = {}) {
+        const fields = FORK_FIELDS[forkType];
+        const blocks = this._getForkBlocks(entry, forkType);
+        if (options.grow) {
+            blockCount = Math.max(blockCount, blocks.length);
+        }
+
+        if (blockCount > blocks.length) {
+            const added = this._allocateBlockChain(blockCount - blocks.length, {
+                after: blocks.length > 0 ? blocks[blocks.length - 1] : 0,
+                clump: options.grow === true
+            });
+            if (blocks.length > 0) {
+                this._setABMEntry(blocks[blocks.length - 1], added.startBlock);
+            } else {
+                entry[fields.startBlock] = added.startBlock;
+            }
+            blocks.push(...added.allocatedBlocks);
+        } else if (blockCount < blocks.length) {
+            if (blockCount === 0) {
+                entry[fields.startBlock] = 0;
+            } else {
+                this._setABMEntry(blocks[blockCount - 1], 0x001);
+            }
+            this._freeBlockChain(blocks[blockCount]);
+            blocks.length = blockCount;
+        }
+
+        entry[fields.allocLength] = blocks.length * this.volumeInfo.allocBlockSize;
+        return blocks;
+    }
+
+    /**
+     * Writes bytes into a fork at the given offset. The blocks must already be allocated.
+     * @param {number[]} blocks - The fork's blocks in chain order.
+     * @param {number} forkOffset - Byte offset within the fork.
+     * @param {Uint8Array} bytes - The bytes to write.
+     */
+    _writeForkRange(blocks, forkOffset, bytes) {
+        const allocBlockSize = this.volumeInfo.allocBlockSize;
+        let done = 0;
+        while (done < bytes.length) {
+            const position = forkOffset + done;
+            const offsetInBlock = position % allocBlockSize;
+            const count = Math.min(allocBlockSize - offsetInBlock, bytes.length - done);
+            const blockDiskOffset = this._blockDiskOffset(blocks[Math.floor(position / allocBlockSize)]);
+            MFSLibUtils.writeBytes(this.dataView, blockDiskOffset + offsetInBlock, bytes.subarray(done, done + count));
+            done += count;
+        }
+    }
+
+    _writeForkData(contentBuffer, allocatedBlocks) {
+        let bytesWritten = 0;
+        const totalBytesToWrite = contentBuffer.byteLength;
+        const sourceView = new Uint8Array(contentBuffer);
+
+        for (let i = 0; i < allocatedBlocks.length; i++) {
+            const mfsBlockNum = allocatedBlocks[i];
+            const blockDiskOffset = (this.volumeInfo.allocBlockStartSector + (mfsBlockNum - 2) * (this.volumeInfo.allocBlockSize / SECTOR_SIZE)) * SECTOR_SIZE;
+            
+            const bytesRemainingInFile = totalBytesToWrite - bytesWritten;
+            const bytesToWriteInThisBlock = Math.min(this.volumeInfo.allocBlockSize, bytesRemainingInFile);
+
+            for (let j = 0; j < bytesToWriteInThisBlock; j++) {
+                MFSLibUtils.writeUint8(this.dataView, blockDiskOffset + j, sourceView[bytesWritten + j]);
+            }
+            bytesWritten += bytesToWriteInThisBlock;
+            if (bytesWritten >= totalBytesToWrite) break;
+        }
+    }
+
+    /**
+     * Deletes a file and frees its allocation blocks.
+     * @param {string} filename - The name of the file.
+     * @param {{force?: boolean}} [options] - `force: true` deletes even if the file or the volume is locked.
+     * @returns {boolean} true once deleted.
+     */
+    deleteFile(filename, options = {}) {
+        const fileInfo = this._findFileEntryByName(filename);
+        if (!fileInfo) {
+            throw new Error(`File not found for deletion: ${filename}`);
+        }
+        const { entry, diskOffset } = fileInfo;
+        this._assertWritable(entry, options);
+
+        // Free blocks for data fork
+        this._freeBlockChain(entry.dataForkStartBlock);
+        // Free blocks for resource fork
+        this._freeBlockChain(entry.resourceForkStartBlock);
+
+        // Mark directory entry as unused (clear bit 7 of flFlags) and move it behind the
+        // remaining entries of its sector, so the sector stays packed the way the Mac expects.
+        this._removeDirectoryEntry(diskOffset, entry._entryLength);
+
+        // Update MDB
+        this.volumeInfo.numFiles--;
+        this.volumeInfo.modificationDate = new Date();
+        // freeAllocBlocks is updated by _freeBlockChain
+        this._writeMDB();
+
+        // Entries after the deleted one moved within the sector; re-read the directory
+        this._parseFileDirectory();
+        console.log(`File "${filename}" deleted.`);
+        return true;
+    }
+
+    /**
+     * Scans the unused tail of every directory sector for entries left behind by deleted files.
+     * Only entries that look intact (sane name, file number and fork fields, and a file number
+     * no live file uses) are reported.
+     * @returns {object[]} One item per deleted entry, like listFiles() plus `diskOffset` (to pass
+     * to undeleteFile), `recoverable: {data: boolean, resource: boolean}` and `intact: {data: boolean,
+     * resource: boolean}` (see undeleteFile). Each entry is assessed on its own, so two deleted files
+     * can claim the same free blocks; undeleting one can make the other unrecoverable, so list again
+     * after each undelete.
+     */
+    listDeletedFiles() {
+        const dirStartOffset = this.volumeInfo.dirStartBlock * SECTOR_SIZE;
+        const liveFileNums = new Set(this.fileDirectory.map(entry => entry.fileNum));
+        const seenFileNums = new Set();
+        const deleted = [];
+
+        for (let sector = 0; sector < this.volumeInfo.dirLengthBlocks; sector++) {
+            const sectorOffset = dirStartOffset + sector * SECTOR_SIZE;
+            let offsetInSector = this._directorySectorUsedLength(sectorOffset);
+            while (offsetInSector + 51 < SECTOR_SIZE) {
+                const diskOffset = sectorOffset + offsetInSector;
+                if (!this._isPlausibleDeletedEntry(diskOffset)) {
+                    offsetInSector += 2;
+                    continue;
+                }
+                const entry = this._readFileDirectoryEntry(diskOffset);
+                if (!liveFileNums.has(entry.fileNum) && !seenFileNums.has(entry.fileNum)) {
+                    seenFileNums.add(entry.fileNum);
+                    const plan = this._planFileRecovery(entry);
+                    deleted.push({
+                        diskOffset,
+                        filename: entry.filename,
+                        type: entry.type,
+                        creator: entry.creator,
+                        dataForkSize: entry.dataForkLogicalLength,
+                        resourceForkSize: entry.resourceForkLogicalLength,
+                        creationDate: entry.creationDate,
+                        modificationDate: entry.modificationDate,
+                        fileNum: entry.fileNum,
+                        folderNum: entry.folderNum,
+                        recoverable: plan.recoverable,
+                        intact: plan.intact
+                    });
+                }
+                offsetInSector += entry._entryLength;
+            }
+        }
+        return deleted;
+    }
+
+    /**
+     * Restores a deleted file found by listDeletedFiles(). The block chains were cleared from the
+     * ABM on deletion, so each fork is relinked to a rebuilt chain (see _planFileRecovery). A fork
+     * whose first block has been reused since, or that can no longer be rebuilt, comes back empty.
+     * A fork is reported `intact` when its blocks are still one free run from its first block, the
+     * way the allocator lays out a fork it could place in one piece. If the rebuild had to skip
+     * blocks in use, the fork is relinked anyway but reported `guessed`: its contents are probably
+     * wrong. Nothing on disk confirms either case, so even an intact fork can be wrong if it was
+     * fragmented before it was deleted.
+     * @param {number | string} entryOffsetOrName - `diskOffset` from listDeletedFiles(), or the
+     *   deleted file's name (which must then be unambiguous).
+     * @param {{force?: boolean}} [options] - `force: true` undeletes even if the volume is locked.
+     * @returns {{file: object, forks: {data: {intact: boolean, guessed: boolean, size: number}, resource: {intact: boolean, guessed: boolean, size: number}}}}
+     * `file` is the restored file's information. A fork that came back empty has neither flag set
+     * (an empty fork counts as intact); `size` is the length of the fork as deleted.
+     */
+    undeleteFile(entryOffsetOrName, options = {}) {
+        this._assertWritable(null, options);
+        const candidates = this.listDeletedFiles().filter(item => typeof entryOffsetOrName === 'number'
+            ? item.diskOffset === entryOffsetOrName
+            : MFSLibUtils.namesEqual(item.filename, entryOffsetOrName));
+        if (candidates.length === 0) {
+            throw new Error(`No recoverable deleted file at ${entryOffsetOrName}.`);
+        }
+        if (candidates.length > 1) {
+            throw new Error(`Several deleted files are named "${entryOffsetOrName}". Pass the diskOffset from listDeletedFiles() instead.`);
+        }
+        const entry = this._readFileDirectoryEntry(candidates[0].diskOffset);
+        if (this._findFileEntryByName(entry.filename)) {
+            throw new Error(`A file named "${entry.filename}" already exists. Rename it before undeleting.`);
+        }
+
+        // Place the entry first (it may land on its own remnant), then relink the forks
+        const newDiskOffset = this._findFreeDirectorySlot(entry._entryLength);
+        const plan = this._planFileRecovery(entry);
+        const forks = {};
+        for (const forkType of ['data', 'resource']) {
+            const fields = FORK_FIELDS[forkType];
+            const size = entry[fields.logicalLength];
+            const blocks = plan.blocks[forkType];
+            if (blocks === null) {
+                entry[fields.startBlock] = 0;
+                entry[fields.logicalLength] = 0;
+                entry[fields.allocLength] = 0;
+                forks[forkType] = { intact: false, guessed: false, size };
+                continue;
+            }
+            for (let i = 0; i < blocks.length; i++) {
+                this._setABMEntry(blocks[i], i < blocks.length - 1 ? blocks[i + 1] : 0x001);
+            }
+            this.volumeInfo.freeAllocBlocks -= blocks.length;
+            forks[forkType] = { intact: plan.intact[forkType], guessed: !plan.intact[forkType], size };
+        }
+
+        entry.flags |= 0x80;
+        this._writeFileDirectoryEntry(entry, newDiskOffset);
+        this._markDirectorySectorEnd(newDiskOffset + entry._entryLength);
+        this.volumeInfo.numFiles++;
+        if (this.volumeInfo.nextFileNum <= entry.fileNum) {
+            this.volumeInfo.nextFileNum = entry.fileNum + 1;
+        }
+        this.volumeInfo.modificationDate = new Date();
+        this._writeMDB();
+        this._parseFileDirectory();
+        const describe = (fork) => fork.intact ? 'intact' : fork.guessed ? 'guessed' : 'lost';
+        console.log(`File "${entry.filename}" undeleted (data fork ${describe(forks.data)}, resource fork ${describe(forks.resource)}).`);
+        return { file: this.getFileInfo(entry.filename), forks };
+    }
+
+    /**
+     * Checks whether the bytes at diskOffset look like an inactive directory entry.
+     * @param {number} diskOffset
+     * @returns {boolean}
+     */
+    _isPlausibleDeletedEntry(diskOffset) {
+        const sectorEnd = diskOffset - (diskOffset % SECTOR_SIZE) + SECTOR_SIZE;
+        const flags = MFSLibUtils.readUint8(this.dataView, diskOffset);
+        const nameLength = MFSLibUtils.readUint8(this.dataView, diskOffset + 50);
+        if ((flags & 0x80) !== 0 || MFSLibUtils.readUint8(this.dataView, diskOffset + 1) !== 0) return false;
+        if (nameLength === 0 || diskOffset + MFSVolume._directoryEntryLength(nameLength) > sectorEnd) return false;
+        const fileNum = MFSLibUtils.readUint32BE(this.dataView, diskOffset + 18);
+        if (fileNum === 0 || fileNum >= this.volumeInfo.nextFileNum) return false;
+
+        const maxBlock = this.volumeInfo.numAllocBlocks + 1;
+        for (const forkOffset of [22, 32]) {
+            const startBlock = MFSLibUtils.readUint16BE(this.dataView, diskOffset + forkOffset);
+            const logicalLength = MFSLibUtils.readUint32BE(this.dataView, diskOffset + forkOffset + 2);
+            const allocLength = MFSLibUtils.readUint32BE(this.dataView, diskOffset + forkOffset + 6);
+            if (logicalLength > allocLength || allocLength % this.volumeInfo.allocBlockSize !== 0) return false;
+            if (allocLength / this.volumeInfo.allocBlockSize > this.volumeInfo.numAllocBlocks) return false;
+            if (startBlock === 0 ? allocLength !== 0 : (startBlock > maxBlock || startBlock < 2 || allocLength === 0)) return false;
+        }
+        for (let i = 0; i < nameLength; i++) {
+            const byte = MFSLibUtils.readUint8(this.dataView, diskOffset + 51 + i);
+            if (byte < 0x20 || byte === 0x3A || byte === 0x7F) return false; // Control characters or ':'
+        }
+        return true;
+    }
+
+    /**
+     * Works out which blocks a deleted file's forks would be relinked to: each fork's first block,
+     * then the next free blocks in ascending order. This is a guess based on the allocator
+     * (_findFreeBlocks), which gives a new chain one contiguous run where it can and grows a fork
+     * in clumps right after its last block. So the guess is right for forks that were allocated
+     * in one run and never fragmented; a fork that fell back to scattered free blocks, or whose
+     * growth had to continue elsewhere, gets the wrong blocks. The resource fork never takes
+     * blocks already given to the data fork.
+     * @param {object} entry - A deleted directory entry (see _readFileDirectoryEntry).
+     * @returns {{blocks: {data: ?number[], resource: ?number[]}, recoverable: {data: boolean, resource: boolean}, intact: {data: boolean, resource: boolean}}}
+     * Each fork's blocks, [] for an empty fork, or null if the fork can't be rebuilt. `intact` is
+     * true when the blocks are the unbroken run from the fork's first block (or the fork is empty).
+     */
+    _planFileRecovery(entry) {
+        const claimed = new Set();
+        const plan = { blocks: {}, recoverable: {}, intact: {} };
+        for (const forkType of ['data', 'resource']) {
+            const fields = FORK_FIELDS[forkType];
+            const blockCount = entry[fields.allocLength] / this.volumeInfo.allocBlockSize;
+            const startBlock = entry[fields.startBlock];
+            let blocks = [];
+            if (startBlock !== 0 && blockCount !== 0) {
+                for (let block = startBlock; block <= this.volumeInfo.numAllocBlocks + 1 && blocks.length < blockCount; block++) {
+                    const free = this._getABMEntry(block) === 0 && !claimed.has(block);
+                    if (block === startBlock && !free) break; // First block reused by another file
+                    if (free) blocks.push(block);
+                }
+                if (blocks.length !== blockCount) blocks = null;
+            }
+            (blocks || []).forEach(block => claimed.add(block));
+            plan.blocks[forkType] = blocks;
+            plan.recoverable[forkType] = blocks !== null;
+            plan.intact[forkType] = blocks !== null && blocks.every((block, i) => block === startBlock + i);
+        }
+        return plan;
+    }
+
+    /**
+     * Renames a file. The directory entry is re-packed for the new name length and may move
+     * to another position (or sector) in the directory; the file itself is unchanged.
+     * @param {string} oldName - Current name of the file.
+     * @param {string} newName - New name for the file.
+     * @param {{force?: boolean}} [options] - `force: true` renames even if the file or the volume is locked.
+     * @returns {object} The updated file information.
+     */
+    renameFile(oldName, newName, options = {}) {
+        const found = this._findFileEntryByName(oldName);
+        if (!found) {
+            throw new Error(`File not found for renaming: ${oldName}`);
+        }
+        this._assertWritable(found.entry, options);
+        newName = MFSVolume._validateName(newName, MAX_FILENAME_LENGTH);
+        const existing = this._findFileEntryByName(newName);
+        if (existing && existing.entry !== found.entry) {
+            throw new Error(`A file named "${newName}" already exists.`);
+        }
+
+        const entry = found.entry;
+        const newEntryLength = MFSVolume._directoryEntryLength(newName.length);
+        if (newEntryLength === entry._entryLength) {
+            entry.filename = newName;
+            this._writeFileDirectoryEntry(entry, entry._diskOffset);
+        } else {
+            // Take the entry out of its sector, then place it wherever the new length fits
+            const sectorOffset = entry._diskOffset - (entry._diskOffset % SECTOR_SIZE);
+            const savedSector = MFSLibUtils.readBytes(this.dataView, sectorOffset, SECTOR_SIZE);
+            this._removeDirectoryEntry(entry._diskOffset, entry._entryLength);
+            let newDiskOffset;
+            try {
+                newDiskOffset = this._findFreeDirectorySlot(newEntryLength);
+            } catch (error) {
+                MFSLibUtils.writeBytes(this.dataView, sectorOffset, savedSector);
+                throw error;
+            }
+            this._writeFileDirectoryEntry({ ...entry, filename: newName }, newDiskOffset);
+            this._markDirectorySectorEnd(newDiskOffset + newEntryLength);
+            this._parseFileDirectory();
+        }
+
+        this.volumeInfo.modificationDate = new Date();
+        this._writeMDB();
+        console.log(`File "${oldName}" renamed to "${newName}".`);
+        return this.getFileInfo(newName);
+    }
+
+    /**
+     * Changes the Finder and directory metadata of a file and writes the entry back to disk.
+     * Only the fields present in `info` are changed. Like the Finder's Get Info, this works on
+     * locked files (so they can be unlocked), but not on a locked volume.
+     * @param {string} filename - The name of the file.
+     * @param {{type?: string, creator?: string, finderFlags?: number, iconPosition?: {v: number, h: number},
+     *   folderNum?: number, creationDate?: Date, modificationDate?: Date, locked?: boolean}} info
+     * @param {{force?: boolean}} [options] - `force: true` changes the entry even if the volume is locked.
+     * @returns {object} The updated file information.
+     */
+    setFileInfo(filename, info, options = {}) {
+        const found = this._findFileEntryByName(filename);
+        if (!found) {
+            throw new Error(`File not found: ${filename}`);
+        }
+        this._assertWritable(null, options);
+        const allowed = ['type', 'creator', 'finderFlags', 'iconPosition', 'folderNum', 'creationDate', 'modificationDate', 'locked'];
+        for (const key of Object.keys(info)) {
+            if (!allowed.includes(key)) {
+                throw new Error(`Unknown file info field: ${key}`);
+            }
+        }
+        for (const key of ['type', 'creator']) {
+            if (info[key] !== undefined && !MFSVolume._isValidOSType(info[key])) {
+                throw new Error(`File ${key} must be 4 Mac OS Roman characters.`);
+            }
+        }
+
+        const entry = found.entry;
+        if (info.type !== undefined) entry.type = info.type;
+        if (info.creator !== undefined) entry.creator = info.creator;
+        if (info.finderFlags !== undefined) entry.finderFlags = info.finderFlags & 0xFFFF;
+        if (info.iconPosition !== undefined) entry.iconPosition = { v: info.iconPosition.v, h: info.iconPosition.h };
+        if (info.folderNum !== undefined) entry.folderNum = info.folderNum;
+        if (info.creationDate !== undefined) entry.creationDate = info.creationDate;
+        if (info.modificationDate !== undefined) entry.modificationDate = info.modificationDate;
+        if (info.locked !== undefined) entry.flags = info.locked ? (entry.flags | FILE_LOCKED_FLAG) : (entry.flags & ~FILE_LOCKED_FLAG);
+        this._writeFileDirectoryEntry(entry, entry._diskOffset);
+
+        this.volumeInfo.modificationDate = new Date();
+        this._writeMDB();
+        return this.getFileInfo(filename);
+    }
+
+    /**
+     * Sets the software lock of a file. Locked files cannot be written, renamed or deleted without `force`.
+     * @param {string} filename - The name of the file.
+     * @param {{force?: boolean}} [options] - `force: true` changes the lock even if the volume is locked.
+     * @returns {object} The updated file information.
+     */
+    lockFile(filename, options = {}) {
+        return this.setFileInfo(filename, { locked: true }, options);
+    }
+
+    /**
+     * Clears the software lock of a file.
+     * @param {string} filename - The name of the file.
+     * @param {{force?: boolean}} [options] - `force: true` changes the lock even if the volume is locked.
+     * @returns {object} The updated file information.
+     */
+    unlockFile(filename, options = {}) {
+        return this.setFileInfo(filename, { locked: false }, options);
+    }
+
+    /**
+     * @returns {boolean} True if the volume's hardware or software lock bit is set, or its device is read-only.
+     */
+    isVolumeLocked() {
+        return (this.volumeInfo.attributes & (VOLUME_HARDWARE_LOCK | VOLUME_SOFTWARE_LOCK)) !== 0 || this.device.readOnly === true;
+    }
+
+    /**
+     * Sets or clears the volume's software lock bit. A hardware lock bit found on the image is left alone,
+     * so the volume stays locked if it had one.
+     * @param {boolean} locked
+     */
+    setVolumeLocked(locked) {
+        if (locked) {
+            this.volumeInfo.attributes |= VOLUME_SOFTWARE_LOCK;
+        } else {
+            this.volumeInfo.attributes &= ~VOLUME_SOFTWARE_LOCK;
+        }
+        this._writeMDB();
+    }
+
+    /**
+     * Throws MFSLockedError if the volume, or the given file entry, is locked, unless `options.force` is set.
+     * @param {?object} entry - The file about to be changed, or null for volume-level changes.
+     * @param {{force?: boolean}} options
+     */
+    _assertWritable(entry, options = {}) {
+        if (options.force) return;
+        if (this.isVolumeLocked()) {
+            throw new MFSLockedError(`Volume "${this.volumeInfo.volumeName}" is locked.`, 'volume', this.volumeInfo.volumeName);
+        }
+        if (entry && (entry.flags & FILE_LOCKED_FLAG)) {
+            throw new MFSLockedError(`File "${entry.filename}" is locked.`, 'file', entry.filename);
+        }
+    }
+
+    /**
+     * Opens a transaction: every change made to the volume from now on can be undone with
+     * rollback() or kept with commit(). Sectors are copied only when first written, so a
+     * transaction costs memory in proportion to what it changes, not to the image size.
+     * Transactions nest; commit() and rollback() act on the innermost one. While a transaction
+     * is open, getDiskImage() shows its uncommitted changes.
+     */
+    begin() {
+        this._transactionSnapshots.push({
+            volumeInfo: { ...this.volumeInfo },
+            abm: this.abm.slice(),
+            fileDirectory: this.fileDirectory.map(entry => ({ ...entry, iconPosition: { ...entry.iconPosition } }))
+        });
+        if (this.dataView instanceof MFSJournaledView) {
+            this.dataView.push();
+        } else {
+            this.dataView = new MFSJournaledView(this.dataView);
+        }
+    }
+
+    /**
+     * Keeps the changes made since the matching begin().
+     */
+    commit() {
+        if (this._transactionSnapshots.length === 0) {
+            throw new Error("No transaction is open.");
+        }
+        this._transactionSnapshots.pop();
+        this.dataView.commitLevel();
+        if (this.dataView.depth === 0) {
+            this.dataView = this.dataView.view;
+        }
+    }
+
+    /**
+     * Undoes every change made since the matching begin(), on disk and in memory.
+     */
+    rollback() {
+        if (this._transactionSnapshots.length === 0) {
+            throw new Error("No transaction is open.");
+        }
+        const snapshot = this._transactionSnapshots.pop();
+        this.dataView.rollbackLevel();
+        if (this.dataView.depth === 0) {
+            this.dataView = this.dataView.view;
+        }
+        this.volumeInfo = snapshot.volumeInfo;
+        this.abm = snapshot.abm;
+        this.fileDirectory = snapshot.fileDirectory;
+        console.log("Transaction rolled back.");
+    }
+
+    /**
+     * Runs `fn` as one all-or-nothing operation: if it throws, every change it made is rolled back
+     * and the error is rethrown; otherwise its changes are committed.
+     * `fn` must be synchronous. An async function is rejected as soon as it returns its promise:
+     * what it did before its first `await` is rolled back, and what it does after that runs outside
+     * any transaction (its eventual rejection is swallowed rather than left unhandled).
+     * @param {function(MFSVolume): *} fn - Synchronous function performing the operations.
+     * @returns {*} Whatever `fn` returns.
+     */
+    transaction(fn) {
+        this.begin();
+        let result;
+        try {
+            result = fn(this);
+            if (result && typeof result.then === 'function') {
+                if (typeof result.catch === 'function') result.catch(() => {});
+                throw new Error("Transaction functions must be synchronous.");
+            }
+        } catch (error) {
+            this.rollback();
+            throw error;
+        }
+        this.commit();
+        return result;
     }
 
     getFileInfo(filename) {
@@ -776,96 +1907,3330 @@ class MFSVolume {
                 folderNum: entry.folderNum,
                 finderFlags: entry.finderFlags,
                 iconPosition: entry.iconPosition,
+                locked: (entry.flags & FILE_LOCKED_FLAG) !== 0,
                 _diskOffset: entry._diskOffset,
                 _entryLength: entry._entryLength
             };
         }
-        return null;
+        return null;
+    }
+
+    /**
+     * Packs a file with its type, creator, Finder flags, icon position, folder, lock, dates and
+     * both forks into a MacBinary file, for keeping it intact on filesystems without forks.
+     * @param {string} filename - The name of the file.
+     * @param {{version?: 1|2|3}} [options] - The MacBinary version to write (default 3).
+     * @returns {ArrayBuffer}
+     */
+    exportMacBinary(filename, options = {}) {
+        return MFSMacBinary.build(this._getExportableFile(filename), options);
+    }
+
+    /**
+     * Creates (or replaces) a file from a MacBinary file, restoring both forks and its Finder information.
+     * @param {ArrayBuffer} buffer - The MacBinary file.
+     * @param {{filename?: string, force?: boolean}} [options] - `filename` overrides the name stored
+     *   in the header. `force: true` writes even if the file or the volume is locked.
+     * @returns {object} The file information.
+     */
+    importMacBinary(buffer, options = {}) {
+        return this._importFileWithInfo(MFSMacBinary.parse(buffer), options);
+    }
+
+    /**
+     * Encodes a file as BinHex 4.0 text, with both forks, type, creator and Finder flags.
+     * @param {string} filename - The name of the file.
+     * @returns {string} The .hqx contents.
+     */
+    exportBinHex(filename) {
+        return MFSBinHex.build(this._getExportableFile(filename));
+    }
+
+    /**
+     * Creates (or replaces) a file from BinHex 4.0 text, writing both forks with the header's
+     * type, creator and Finder flags.
+     * @param {string | ArrayBuffer} input - The .hqx contents.
+     * @param {{filename?: string, force?: boolean}} [options] - `filename` overrides the name stored
+     *   in the header. `force: true` writes even if the file or the volume is locked.
+     * @returns {object} The file information.
+     */
+    importBinHex(input, options = {}) {
+        const file = MFSBinHex.parse(input);
+        return this.writeFile(options.filename || file.filename, file.dataFork, file.resourceFork, {
+            type: file.type,
+            creator: file.creator,
+            finderFlags: file.finderFlags
+        }, { force: options.force });
+    }
+
+    /**
+     * Encodes a file as AppleSingle: both forks, Finder info, dates and lock in one file.
+     * @param {string} filename - The name of the file.
+     * @returns {ArrayBuffer}
+     */
+    exportAppleSingle(filename) {
+        return MFSAppleSingle.build(this._getExportableFile(filename));
+    }
+
+    /**
+     * Encodes a file as AppleDouble: the data fork as a plain file plus a header file
+     * (conventionally "._" + name) with the resource fork, Finder info, dates and lock.
+     * @param {string} filename - The name of the file.
+     * @returns {{data: ArrayBuffer, header: ArrayBuffer}}
+     */
+    exportAppleDouble(filename) {
+        const file = this._getExportableFile(filename);
+        return { data: file.dataFork, header: MFSAppleSingle.build(file, { appleDouble: true }) };
+    }
+
+    /**
+     * Creates (or replaces) a file from an AppleSingle file.
+     * @param {ArrayBuffer} buffer - The AppleSingle file.
+     * @param {{filename?: string, force?: boolean}} [options] - `filename` is required if the file has
+     *   no real-name entry. `force: true` writes even if the file or the volume is locked.
+     * @returns {object} The file information.
+     */
+    importAppleSingle(buffer, options = {}) {
+        const file = MFSAppleSingle.parse(buffer);
+        if (file.appleDouble) {
+            throw new Error("This is an AppleDouble header; use importAppleDouble() with the data fork file.");
+        }
+        return this._importFileWithInfo(file, options);
+    }
+
+    /**
+     * Creates (or replaces) a file from an AppleDouble pair.
+     * @param {?ArrayBuffer} data - The data fork file (null for an empty data fork).
+     * @param {ArrayBuffer} header - The AppleDouble header file.
+     * @param {{filename?: string, force?: boolean}} [options] - As for importAppleSingle().
+     * @returns {object} The file information.
+     */
+    importAppleDouble(data, header, options = {}) {
+        const file = MFSAppleSingle.parse(header);
+        file.dataFork = data;
+        return this._importFileWithInfo(file, options);
+    }
+
+    // Writes a decoded MacBinary/AppleSingle file with its Finder info, dates and lock, all or nothing
+    _importFileWithInfo(file, options) {
+        const filename = options.filename || file.filename;
+        if (!filename) {
+            throw new Error("The file has no real-name entry; pass options.filename.");
+        }
+        if (!file.type || !file.creator) {
+            throw new Error("The file has no Finder info entry, so its type and creator are unknown.");
+        }
+        return this.transaction(() => {
+            this.writeFile(filename, file.dataFork, file.resourceFork, {
+                type: file.type,
+                creator: file.creator,
+                finderFlags: file.finderFlags,
+                folderNum: file.folderNum,
+                creationDate: file.creationDate || undefined,
+                modDate: file.modificationDate || undefined
+            }, { force: options.force });
+            return this.setFileInfo(filename, { iconPosition: file.iconPosition, locked: file.locked }, { force: options.force });
+        });
+    }
+
+    _getExportableFile(filename) {
+        const info = this.getFileInfo(filename);
+        if (!info) {
+            throw new Error(`File not found: ${filename}`);
+        }
+        return {
+            ...info,
+            dataFork: this.readFile(filename, 'data'),
+            resourceFork: this.readFile(filename, 'resource')
+        };
+    }
+
+    /**
+     * Node.js only: writes every file of the volume to a host directory, the data fork as a plain
+     * file and everything else in an AppleDouble "._" sidecar next to it. A "/" in a Mac filename
+     * becomes ":" on the host, as on macOS. importDirectory() reads the result back.
+     * @param {string} targetDir - The directory to write to (created if needed).
+     * @returns {string[]} The paths of the data fork files written.
+     * @throws {Error} Before writing anything, if one file's sidecar would overwrite another file
+     *   (files named "X" and "._X").
+     */
+    extractAll(targetDir) {
+        const fs = require('fs');
+        const path = require('path');
+        const files = this.listFiles();
+        for (const info of files) {
+            const sidecarOf = files.find(other => MFSLibUtils.namesEqual(APPLEDOUBLE_PREFIX + other.filename, info.filename));
+            if (sidecarOf) {
+                throw new Error(`"${info.filename}" would be overwritten by the AppleDouble sidecar of "${sidecarOf.filename}". Rename one of them first.`);
+            }
+        }
+        fs.mkdirSync(targetDir, { recursive: true });
+        const written = [];
+        for (const info of files) {
+            const hostName = info.filename.replace(/\//g, ':');
+            const { data, header } = this.exportAppleDouble(info.filename);
+            const dataPath = path.join(targetDir, hostName);
+            fs.writeFileSync(dataPath, new Uint8Array(data));
+            fs.writeFileSync(path.join(targetDir, APPLEDOUBLE_PREFIX + hostName), new Uint8Array(header));
+            if (info.modificationDate) {
+                fs.utimesSync(dataPath, info.modificationDate, info.modificationDate);
+            }
+            written.push(dataPath);
+        }
+        console.log(`Extracted ${written.length} files to ${targetDir}.`);
+        return written;
+    }
+
+    /**
+     * Node.js only: copies the files of a host directory onto the volume, taking the resource
+     * fork and Finder information from each file's AppleDouble "._" sidecar if it has one.
+     * A "._" file is read as the sidecar of the file it names; if that file doesn't exist, it is an
+     * ordinary file. Host dotfiles without a sidecar (".DS_Store", stray "._" files) and
+     * subdirectories are skipped, with a warning listing them. A Mac file written by extractAll()
+     * always has a sidecar, so one whose name starts with "." is still imported.
+     * The import is all-or-nothing: if any file fails, the volume is unchanged.
+     * @param {string} sourceDir - The directory to read.
+     * @param {{type?: string, creator?: string, force?: boolean}} [options] - `type` and `creator` are
+     *   used for files without a sidecar (default '????'). `force: true` overrides locks.
+     * @returns {object[]} The information of each file written.
+     */
+    importDirectory(sourceDir, options = {}) {
+        const fs = require('fs');
+        const path = require('path');
+        const entries = fs.readdirSync(sourceDir).sort();
+        const hostFiles = new Set(entries.filter(name => fs.statSync(path.join(sourceDir, name)).isFile()));
+        const hostNames = [];
+        const skipped = [];
+        for (const name of entries) {
+            const isSidecar = name.startsWith(APPLEDOUBLE_PREFIX) && hostFiles.has(name.slice(APPLEDOUBLE_PREFIX.length));
+            if (hostFiles.has(name) && isSidecar) continue;
+            if (hostFiles.has(name) && (!name.startsWith('.') || hostFiles.has(APPLEDOUBLE_PREFIX + name))) {
+                hostNames.push(name);
+            } else {
+                skipped.push(name);
+            }
+        }
+        if (skipped.length > 0) {
+            console.warn(`importDirectory: skipped ${skipped.length} host entries that aren't Mac files: ${skipped.join(', ')}`);
+        }
+        return this.transaction(() => {
+            const imported = [];
+            for (const hostName of hostNames) {
+                const hostPath = path.join(sourceDir, hostName);
+                const data = fs.readFileSync(hostPath);
+                const filename = hostName.normalize('NFC').replace(/:/g, '/');
+                const sidecarPath = path.join(sourceDir, APPLEDOUBLE_PREFIX + hostName);
+                const dataFork = data.buffer.slice(data.byteOffset, data.byteOffset + data.length);
+                if (fs.existsSync(sidecarPath)) {
+                    const sidecar = fs.readFileSync(sidecarPath);
+                    const header = sidecar.buffer.slice(sidecar.byteOffset, sidecar.byteOffset + sidecar.length);
+                    imported.push(this.importAppleDouble(dataFork, header, { filename, force: options.force }));
+                } else {
+                    imported.push(this.writeFile(filename, dataFork, null, {
+                        type: options.type || '????',
+                        creator: options.creator || '????'
+                    }, { force: options.force }));
+                }
+            }
+            console.log(`Imported ${imported.length} files from ${sourceDir}.`);
+            return imported;
+        });
+    }
+/**
+     * Reads the content of a specified fork of a file.
+     * @param {string} filename - The name of the file.
+     * @param {'data' | 'resource'} forkType - The type of fork to read ('data' or 'resource').
+     * @returns {ArrayBuffer} The content of the fork.
+     */
+    readFile(filename, forkType = 'data') {
+        const fileInfo = this._findFileEntryByName(filename);
+        if (!fileInfo) {
+            throw new Error(`File not found for reading: ${filename}`);
+        }
+        const entry = fileInfo.entry;
+
+        let startBlock, logicalLength, allocLength;
+        if (forkType === 'data') {
+            startBlock = entry.dataForkStartBlock;
+            logicalLength = entry.dataForkLogicalLength;
+            allocLength = entry.dataForkAllocLength; // Use allocated length for buffer creation
+        } else if (forkType === 'resource') {
+            startBlock = entry.resourceForkStartBlock;
+            logicalLength = entry.resourceForkLogicalLength;
+            allocLength = entry.resourceForkAllocLength; // Use allocated length
+        } else {
+            throw new Error(`Invalid fork type: ${forkType}. Must be 'data' or 'resource'.`);
+        }
+
+        if (startBlock === 0 || logicalLength === 0) {
+            return new ArrayBuffer(0); // Empty fork
+        }
+
+        // Create buffer based on allocated length, then slice to logical length
+        const forkData = new Uint8Array(allocLength); 
+        let bytesRead = 0;
+        let currentMFSBlock = startBlock;
+        const allocBlockSizeBytes = this.volumeInfo.allocBlockSize;
+
+        while (currentMFSBlock !== 0x001 && currentMFSBlock !== 0x000 && currentMFSBlock >= 2 && bytesRead < logicalLength) {
+            const blockDiskOffset = (this.volumeInfo.allocBlockStartSector + (currentMFSBlock - 2) * (allocBlockSizeBytes / SECTOR_SIZE)) * SECTOR_SIZE;
+            
+            const bytesToReadInThisBlock = Math.min(allocBlockSizeBytes, logicalLength - bytesRead);
+            
+            for (let i = 0; i < bytesToReadInThisBlock; i++) {
+                if (blockDiskOffset + i < this.dataView.byteLength && bytesRead + i < forkData.length) {
+                     forkData[bytesRead + i] = MFSLibUtils.readUint8(this.dataView, blockDiskOffset + i);
+                } else {
+                    console.warn(`Read out of bounds attempt in readFile for ${filename}, block ${currentMFSBlock}. Offset: ${blockDiskOffset + i}, Buffer Length: ${this.dataView.byteLength}`);
+                    // This case should ideally not happen if allocLength and logicalLength are correct
+                    // and file system is not corrupted.
+                    return forkData.buffer.slice(0, bytesRead); // Return what's read so far
+                }
+            }
+            bytesRead += bytesToReadInThisBlock;
+
+            const nextMFSBlockIndicator = this._getABMEntry(currentMFSBlock);
+            if (nextMFSBlockIndicator === 0x001) break; // End of file
+            if (nextMFSBlockIndicator === 0x000 || nextMFSBlockIndicator < 2 || nextMFSBlockIndicator >= this.volumeInfo.numAllocBlocks + 2) {
+                throw new Error(`Corrupted file chain for ${filename} (fork: ${forkType}) at MFS block ${currentMFSBlock}. Next indicator: ${nextMFSBlockIndicator}`);
+            }
+            currentMFSBlock = nextMFSBlockIndicator;
+        }
+        
+        // Return only the logical length
+        return forkData.buffer.slice(0, logicalLength);
+    }
+
+
+    /**
+     * Parses a file's resource fork, e.g. to read icons, strings or code from an application.
+     * @param {string} filename - The name of the file.
+     * @returns {ResourceFork} The parsed fork (with no resources if the fork is empty).
+     */
+    getResourceFork(filename) {
+        return new ResourceFork(this.readFile(filename, 'resource'));
+    }
+
+    /**
+     * Adds or replaces one resource in a file's resource fork, keeping the other resources.
+     * @param {string} filename - The name of the file.
+     * @param {string} type - A four-character resource type.
+     * @param {number} id - The resource ID.
+     * @param {ArrayBuffer | Uint8Array} data - The resource's contents.
+     * @param {{name?: ?string, attributes?: number, force?: boolean}} [options] - `name` and `attributes`
+     *   as for ResourceFork.setResource(). `force: true` writes even if the file or the volume is locked.
+     * @returns {object} The updated file information.
+     */
+    setResource(filename, type, id, data, options = {}) {
+        const fork = this.getResourceFork(filename);
+        fork.setResource(type, id, data, { name: options.name, attributes: options.attributes });
+        return this.writeFork(filename, 'resource', fork.toArrayBuffer(), { force: options.force });
+    }
+
+    /**
+     * Removes one resource from a file's resource fork.
+     * @param {string} filename - The name of the file.
+     * @param {string} type - A four-character resource type.
+     * @param {number | string} idOrName - The resource ID, or its name.
+     * @param {{force?: boolean}} [options] - `force: true` writes even if the file or the volume is locked.
+     * @returns {object} The updated file information.
+     * @throws {Error} If the file has no such resource.
+     */
+    deleteResource(filename, type, idOrName, options = {}) {
+        const fork = this.getResourceFork(filename);
+        if (!fork.deleteResource(type, idOrName)) {
+            throw new Error(`Resource not found in ${filename}: '${type}' ${idOrName}`);
+        }
+        return this.writeFork(filename, 'resource', fork.toArrayBuffer(), { force: options.force });
+    }
+
+    /**
+     * Creates or rebuilds the invisible "Desktop" file from the current directory, so the Finder shows
+     * each file's own icon instead of rebuilding its database on first mount. The Desktop file's
+     * resource fork gets a copy of the BNDL, signature, ICN# and FREF resources of every file with the
+     * bundle bit set, renumbered so they don't collide, with the BNDL's ID mapping updated to match.
+     * The folder records (FOBJ) of an existing Desktop file are carried over byte for byte; no others
+     * are written, since their format was never documented.
+     * @param {{force?: boolean}} [options] - `force: true` writes even if the volume is locked.
+     * @returns {object} The Desktop file's information.
+     */
+    rebuildDesktop(options = {}) {
+        const existing = this._findFileEntryByName(DESKTOP_FILE_NAME);
+        let oldDesktop = new ResourceFork(new ArrayBuffer(0));
+        if (existing) {
+            try {
+                oldDesktop = this.getResourceFork(DESKTOP_FILE_NAME);
+            } catch (error) {
+                console.warn(`Existing Desktop file is damaged (${error.message}); its folders are lost.`);
+            }
+        }
+
+        const desktop = new ResourceFork(new ArrayBuffer(0));
+        for (const folder of oldDesktop.listResources('FOBJ')) {
+            const record = oldDesktop.getResource('FOBJ', folder.id);
+            desktop.setResource('FOBJ', folder.id, record.data, { name: record.name, attributes: record.attributes });
+        }
+
+        for (const entry of this.fileDirectory) {
+            if (MFSLibUtils.namesEqual(entry.filename, DESKTOP_FILE_NAME)) continue;
+            if (!(entry.finderFlags & FINDER_FLAG_HAS_BUNDLE) || entry.resourceForkLogicalLength === 0) continue;
+            try {
+                const fork = this.getResourceFork(entry.filename);
+                const bundle = fork.listResources('BNDL')[0];
+                if (bundle) {
+                    MFSVolume._copyBundle(fork, fork.getResource('BNDL', bundle.id), desktop);
+                }
+            } catch (error) {
+                console.warn(`Skipping the bundle of "${entry.filename}": ${error.message}`);
+            }
+        }
+
+        const rsrc = desktop.toArrayBuffer();
+        if (existing) {
+            return this.writeFork(DESKTOP_FILE_NAME, 'resource', rsrc, options);
+        }
+        return this.writeFile(DESKTOP_FILE_NAME, null, rsrc, {
+            type: DESKTOP_FILE_TYPE,
+            creator: DESKTOP_FILE_CREATOR,
+            finderFlags: FINDER_FLAG_INVISIBLE
+        }, options);
+    }
+
+    /**
+     * Copies a bundle into the Desktop file: the owner's signature resource becomes ID 0, and every
+     * resource the BNDL maps (ICN#, FREF) gets a fresh ID, written back into the copied BNDL.
+     * A bundle whose signature is already in the Desktop file is skipped.
+     */
+    static _copyBundle(fork, bundle, desktop) {
+        const bytes = new Uint8Array(bundle.data);
+        const view = new DataView(bundle.data);
+        if (bytes.length < 8) {
+            throw new Error("BNDL resource is too short.");
+        }
+        const owner = MFSLibUtils.decodeMacRoman(bytes.subarray(0, 4));
+        if (desktop.getResource(owner, 0)) return;
+        const signature = fork.getResource(owner, MFSLibUtils.readUint16BE(view, 4) << 16 >> 16);
+        desktop.setResource(owner, 0, signature ? signature.data : new ArrayBuffer(0));
+
+        const copy = bytes.slice();
+        const copyView = new DataView(copy.buffer);
+        MFSLibUtils.writeUint16BE(copyView, 4, 0);
+        const typeCount = MFSLibUtils.readUint16BE(view, 6) + 1;
+        let offset = 8;
+        for (let t = 0; t < typeCount; t++) {
+            if (offset + 6 > bytes.length) {
+                throw new Error("BNDL resource is truncated.");
+            }
+            const type = MFSLibUtils.decodeMacRoman(bytes.subarray(offset, offset + 4));
+            const count = MFSLibUtils.readUint16BE(view, offset + 4) + 1;
+            offset += 6;
+            for (let i = 0; i < count; i++, offset += 4) {
+                if (offset + 4 > bytes.length) {
+                    throw new Error("BNDL resource is truncated.");
+                }
+                const resource = fork.getResource(type, MFSLibUtils.readUint16BE(view, offset + 2) << 16 >> 16);
+                if (!resource) continue;
+                const newId = desktop.uniqueId(type);
+                desktop.setResource(type, newId, resource.data, { name: resource.name, attributes: resource.attributes });
+                MFSLibUtils.writeUint16BE(copyView, offset + 2, newId & 0xFFFF);
+            }
+        }
+        desktop.setResource('BNDL', desktop.uniqueId('BNDL'), copy);
+    }
+
+    /**
+     * Lays out the icons of one Finder window on a grid, so none of them overlap. Each icon gets a cell
+     * `iconSize + 48` pixels wide (room for the name) and `iconSize + 32` high, filled left to right in
+     * rows as wide as `windowWidth` allows. Only file icons move: invisible files are left alone, and
+     * folder icons keep the positions the Finder stored for them in the Desktop file.
+     * @param {{by?: 'grid' | 'name' | 'type', folderNum?: number, iconSize?: number, windowWidth?: number, force?: boolean}} [options] -
+     *   `by`: 'grid' keeps directory order, 'name' sorts by name, 'type' sorts by type, then name.
+     *   `folderNum` picks the window: the files whose folderNum matches. Defaults: 'grid', the volume
+     *   window (0), 32-pixel icons, a 360-pixel window. `force: true` writes even if the volume is locked.
+     * @returns {{name: string, iconPosition: {v: number, h: number}}[]} The files in layout order.
+     */
+    arrangeIcons(options = {}) {
+        const folderNum = options.folderNum === undefined ? FOLDER_VOLUME : options.folderNum;
+        return this._arrangeWindow(folderNum, MFSVolume._iconGrid({ ...options, layout: options.by || 'grid' }), options);
+    }
+
+    _arrangeWindow(folderNum, layout, options = {}) {
+        const icons = this._windowIcons(folderNum);
+        if (layout.by === 'name') {
+            icons.sort((a, b) => MFSVolume._compareNames(a.name, b.name));
+        } else if (layout.by === 'type') {
+            // sort() is stable, so same-type files keep name order
+            icons.sort((a, b) => MFSVolume._compareNames(a.name, b.name))
+                .sort((a, b) => a.type < b.type ? -1 : a.type > b.type ? 1 : 0);
+        }
+        icons.forEach((icon, index) => { icon.iconPosition = layout.positionAt(index); });
+
+        this._assertWritable(null, options);
+        this.transaction(() => {
+            for (const icon of icons) {
+                this.setFileInfo(icon.name, { iconPosition: icon.iconPosition }, { force: options.force });
+            }
+        });
+        console.log(`Arranged ${icons.length} icons in folder ${folderNum} by ${layout.by}.`);
+        return icons.map(icon => ({ name: icon.name, iconPosition: icon.iconPosition }));
+    }
+
+    // The visible file icons in a Finder window, in directory order
+    _windowIcons(folderNum) {
+        return this.fileDirectory
+            .filter(entry => entry.folderNum === folderNum && !(entry.finderFlags & FINDER_FLAG_INVISIBLE))
+            .map(entry => ({ name: entry.filename, type: entry.type, iconPosition: { ...entry.iconPosition } }));
+    }
+
+    /**
+     * Validates the layout options of writeFile() and arrangeIcons() and returns the grid they describe.
+     * @returns {{by: string, cellWidth: number, cellHeight: number, positionAt: function(number): {v: number, h: number}}}
+     */
+    static _iconGrid({ layout, iconSize = ICON_SIZE, windowWidth = DEFAULT_WINDOW_WIDTH }) {
+        if (!ICON_LAYOUTS.includes(layout)) {
+            throw new Error(`Icon layout must be one of ${ICON_LAYOUTS.join(', ')}, got ${layout}.`);
+        }
+        if (!Number.isInteger(iconSize) || iconSize < 1 || !Number.isInteger(windowWidth) || windowWidth < 1) {
+            throw new Error("Icon size and window width must be positive integers.");
+        }
+        const cellWidth = iconSize + 48;
+        const cellHeight = iconSize + 32;
+        const columns = Math.max(1, Math.floor(windowWidth / cellWidth));
+        return {
+            by: layout,
+            cellWidth,
+            cellHeight,
+            // Icons are centred in their cells; positions are the icon's top-left corner
+            positionAt: (index) => ({
+                v: Math.floor(index / columns) * cellHeight + (cellHeight - iconSize) / 2,
+                h: (index % columns) * cellWidth + (cellWidth - iconSize) / 2
+            })
+        };
+    }
+
+    // Orders names the way they sort in the Finder: case- and diacritic-insensitive
+    static _compareNames(a, b) {
+        const keyA = MFSLibUtils.nameKey(a);
+        const keyB = MFSLibUtils.nameKey(b);
+        return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+    }
+
+    /**
+     * Opens one fork of a file for random access. See MFSFileHandle.
+     * @param {string} filename - The name of the file.
+     * @param {'data' | 'resource'} [forkType='data'] - The fork to open.
+     * @param {'r' | 'rw'} [mode='r'] - 'r' for read-only, 'rw' to also allow writes.
+     * @param {{force?: boolean}} [options] - `force: true` opens for writing even if the file or the volume is locked.
+     * @returns {MFSFileHandle}
+     */
+    openFile(filename, forkType = 'data', mode = 'r', options = {}) {
+        if (mode !== 'r' && mode !== 'rw') {
+            throw new Error(`Invalid open mode: ${mode}. Must be 'r' or 'rw'.`);
+        }
+        const entry = this._getFileEntryForFork(filename, forkType);
+        if (mode === 'rw') {
+            this._assertWritable(entry, options);
+        }
+        return new MFSFileHandle(this, entry.fileNum, forkType, mode);
+    }
+
+    /**
+     * Reads bytes from a fork at the given offset. The range must lie within the allocated blocks.
+     * @param {number[]} blocks - The fork's blocks in chain order.
+     * @param {number} forkOffset - Byte offset within the fork.
+     * @param {number} length - Number of bytes to read.
+     * @returns {Uint8Array}
+     */
+    _readForkRange(blocks, forkOffset, length) {
+        const allocBlockSize = this.volumeInfo.allocBlockSize;
+        const result = new Uint8Array(length);
+        let done = 0;
+        while (done < length) {
+            const position = forkOffset + done;
+            const offsetInBlock = position % allocBlockSize;
+            const count = Math.min(allocBlockSize - offsetInBlock, length - done);
+            const blockDiskOffset = this._blockDiskOffset(blocks[Math.floor(position / allocBlockSize)]);
+            result.set(MFSLibUtils.readBytes(this.dataView, blockDiskOffset + offsetInBlock, count), done);
+            done += count;
+        }
+        return result;
+    }
+
+    listFiles() {
+        return this.fileDirectory.map(entry => ({
+            filename: entry.filename,
+            type: entry.type,
+            creator: entry.creator,
+            dataForkSize: entry.dataForkLogicalLength,
+            resourceForkSize: entry.resourceForkLogicalLength,
+            creationDate: entry.creationDate,
+            modificationDate: entry.modificationDate,
+            fileNum: entry.fileNum,
+            folderNum: entry.folderNum,
+            locked: (entry.flags & FILE_LOCKED_FLAG) !== 0
+        }));
+    }
+
+    /**
+     * Checks the consistency of the volume: every file's block chains against the ABM,
+     * and the MDB counters against the directory and the ABM.
+     * Problems are reported with one of these codes:
+     *   BROKEN_CHAIN, CROSS_LINKED, FORK_LENGTH_MISMATCH, LOGICAL_LENGTH_EXCEEDS_ALLOC,
+     *   ORPHANED_BLOCKS, FREE_COUNT_MISMATCH, FILE_COUNT_MISMATCH, NEXT_FILE_NUM_TOO_LOW.
+     * @param {{repair?: boolean}} [options] - With `repair: true`, fixes what can be fixed without guessing:
+     *   broken and cross-linked chains are truncated at the last good block, fork lengths are
+     *   recomputed from the chains, orphaned blocks are freed and the MDB counters are recomputed.
+     *   Repairing a locked volume also requires `force: true`.
+     * @returns {{ok: boolean, repaired: boolean, problems: object[], stats: {files: number, usedBlocks: number, freeBlocks: number}}}
+     * `ok` is true when no problems were found. Each problem carries `repaired: true` once fixed.
+     */
+    check(options = {}) {
+        const repair = options.repair === true;
+        if (repair) {
+            this._assertWritable(null, options);
+        }
+        const problems = [];
+        const owners = new Map(); // MFS block number -> { filename, fork }
+
+        const report = (problem) => {
+            problem.repaired = repair;
+            problems.push(problem);
+            return problem;
+        };
+
+        for (const entry of this.fileDirectory) {
+            let entryChanged = false;
+
+            for (const fork of ['data', 'resource']) {
+                const fields = FORK_FIELDS[fork];
+                const walk = this._walkBlockChain(entry[fields.startBlock]);
+                let blocks = walk.blocks;
+                let truncated = false;
+
+                if (walk.error) {
+                    report({
+                        code: 'BROKEN_CHAIN',
+                        message: `${fork} fork of "${entry.filename}": ${walk.error.reason} at block ${walk.error.block} (next ${walk.error.next}).`,
+                        filename: entry.filename, fork, block: walk.error.block, reason: walk.error.reason
+                    });
+                    truncated = true;
+                }
+
+                // A chain running past the recorded allocation most likely has a bad link; trust the directory.
+                const recordedBlocks = entry[fields.allocLength] / this.volumeInfo.allocBlockSize;
+                if (Number.isInteger(recordedBlocks) && recordedBlocks > 0 && blocks.length > recordedBlocks) {
+                    report({
+                        code: 'FORK_LENGTH_MISMATCH',
+                        message: `${fork} fork of "${entry.filename}" records ${recordedBlocks} block(s) but its chain continues for ${blocks.length}.`,
+                        filename: entry.filename, fork, recorded: entry[fields.allocLength], actual: blocks.length * this.volumeInfo.allocBlockSize
+                    });
+                    blocks = blocks.slice(0, recordedBlocks);
+                    truncated = true;
+                }
+
+                const crossIndex = blocks.findIndex(block => owners.has(block));
+                if (crossIndex !== -1) {
+                    const owner = owners.get(blocks[crossIndex]);
+                    report({
+                        code: 'CROSS_LINKED',
+                        message: `${fork} fork of "${entry.filename}" shares block ${blocks[crossIndex]} with the ${owner.fork} fork of "${owner.filename}".`,
+                        filename: entry.filename, fork, block: blocks[crossIndex], otherFilename: owner.filename, otherFork: owner.fork
+                    });
+                    blocks = blocks.slice(0, crossIndex);
+                    truncated = true;
+                }
+
+                if (truncated && repair) {
+                    if (blocks.length > 0) {
+                        this.abm[blocks[blocks.length - 1] - 2] = 0x001;
+                    } else {
+                        entry[fields.startBlock] = 0;
+                    }
+                    entryChanged = true;
+                }
+                blocks.forEach(block => owners.set(block, { filename: entry.filename, fork }));
+
+                const chainBytes = blocks.length * this.volumeInfo.allocBlockSize;
+                if (entry[fields.allocLength] !== chainBytes) {
+                    report({
+                        code: 'FORK_LENGTH_MISMATCH',
+                        message: `${fork} fork of "${entry.filename}" records ${entry[fields.allocLength]} allocated bytes but its chain holds ${chainBytes}.`,
+                        filename: entry.filename, fork, recorded: entry[fields.allocLength], actual: chainBytes
+                    });
+                    if (repair) {
+                        entry[fields.allocLength] = chainBytes;
+                        entryChanged = true;
+                    }
+                }
+                if (entry[fields.logicalLength] > chainBytes) {
+                    report({
+                        code: 'LOGICAL_LENGTH_EXCEEDS_ALLOC',
+                        message: `${fork} fork of "${entry.filename}" is ${entry[fields.logicalLength]} bytes long but only ${chainBytes} bytes are allocated.`,
+                        filename: entry.filename, fork, logicalLength: entry[fields.logicalLength], allocLength: chainBytes
+                    });
+                    if (repair) {
+                        entry[fields.logicalLength] = chainBytes;
+                        entryChanged = true;
+                    }
+                }
+            }
+
+            if (entryChanged) {
+                this._writeFileDirectoryEntry(entry, entry._diskOffset);
+            }
+        }
+
+        // Blocks marked in use (0xFFF belongs to the directory) that no fork reaches
+        const orphans = [];
+        for (let i = 0; i < this.volumeInfo.numAllocBlocks; i++) {
+            if (this.abm[i] !== 0x000 && this.abm[i] !== 0xFFF && !owners.has(i + 2)) {
+                orphans.push(i + 2);
+            }
+        }
+        if (orphans.length > 0) {
+            report({
+                code: 'ORPHANED_BLOCKS',
+                message: `${orphans.length} allocated block(s) do not belong to any file.`,
+                blocks: orphans
+            });
+            if (repair) {
+                orphans.forEach(block => { this.abm[block - 2] = 0x000; });
+            }
+        }
+
+        const freeBlocks = this.abm.slice(0, this.volumeInfo.numAllocBlocks).filter(value => value === 0x000).length;
+        if (this.volumeInfo.freeAllocBlocks !== freeBlocks) {
+            report({
+                code: 'FREE_COUNT_MISMATCH',
+                message: `MDB records ${this.volumeInfo.freeAllocBlocks} free blocks but the ABM has ${freeBlocks}.`,
+                recorded: this.volumeInfo.freeAllocBlocks, actual: freeBlocks
+            });
+            if (repair) this.volumeInfo.freeAllocBlocks = freeBlocks;
+        }
+
+        if (this.volumeInfo.numFiles !== this.fileDirectory.length) {
+            report({
+                code: 'FILE_COUNT_MISMATCH',
+                message: `MDB records ${this.volumeInfo.numFiles} files but the directory holds ${this.fileDirectory.length}.`,
+                recorded: this.volumeInfo.numFiles, actual: this.fileDirectory.length
+            });
+            if (repair) this.volumeInfo.numFiles = this.fileDirectory.length;
+        }
+
+        const highestFileNum = this.fileDirectory.reduce((max, entry) => Math.max(max, entry.fileNum), 0);
+        if (this.volumeInfo.nextFileNum <= highestFileNum) {
+            report({
+                code: 'NEXT_FILE_NUM_TOO_LOW',
+                message: `MDB next file number ${this.volumeInfo.nextFileNum} is not above the highest file number in use (${highestFileNum}).`,
+                recorded: this.volumeInfo.nextFileNum, highestInUse: highestFileNum
+            });
+            if (repair) this.volumeInfo.nextFileNum = highestFileNum + 1;
+        }
+
+        if (repair && problems.length > 0) {
+            this._writeMDB();
+        }
+
+        return {
+            ok: problems.length === 0,
+            repaired: repair && problems.length > 0,
+            problems,
+            stats: {
+                files: this.fileDirectory.length,
+                usedBlocks: this.volumeInfo.numAllocBlocks - freeBlocks,
+                freeBlocks
+            }
+        };
+    }
+
+    /**
+     * Checks the volume and repairs what can be fixed safely. See check().
+     * @param {{force?: boolean}} [options] - `force: true` repairs even if the volume is locked.
+     * @returns {object} The check report, with repaired problems flagged.
+     */
+    repair(options = {}) {
+        return this.check({ ...options, repair: true });
+    }
+
+
+    /**
+     * Enlarges the file directory by taking over the first allocation blocks of the volume.
+     * Data stored in those blocks is first moved to free blocks elsewhere, then every remaining
+     * block is renumbered (its position on disk is unchanged, but block #2 now starts later),
+     * and the ABM, fork start blocks, `dirLengthBlocks`, `allocBlockStartSector`,
+     * `numAllocBlocks` and `freeAllocBlocks` are updated to match.
+     * The directory grows by whole allocation blocks, so it may end up larger than requested.
+     * @param {number} extraSectors - Minimum number of sectors to add to the directory.
+     * @param {{force?: boolean}} [options] - `force: true` grows the directory even if the volume is locked.
+     * @returns {number} The new directory length in sectors.
+     */
+    growDirectory(extraSectors, options = {}) {
+        this._assertWritable(null, options);
+        if (!Number.isInteger(extraSectors) || extraSectors < 1) {
+            throw new Error(`Invalid number of directory sectors to add: ${extraSectors}.`);
+        }
+        const info = this.volumeInfo;
+        if (info.dirStartBlock + info.dirLengthBlocks !== info.allocBlockStartSector) {
+            throw new Error("Cannot grow the directory: it is not directly followed by the allocation blocks.");
+        }
+
+        const sectorsPerBlock = info.allocBlockSize / SECTOR_SIZE;
+        const blocksToTake = Math.ceil(extraSectors / sectorsPerBlock);
+        if (blocksToTake >= info.numAllocBlocks) {
+            throw new Error(`Cannot grow the directory by ${extraSectors} sectors: the volume only has ${info.numAllocBlocks} allocation blocks.`);
+        }
+        if (this.abm.slice(0, blocksToTake).includes(0xFFF)) {
+            throw new Error("Cannot grow the directory: blocks to be taken over are already marked as directory blocks.");
+        }
+
+        // Move whatever lives in the blocks being taken over to free blocks further out
+        const inUse = [];
+        const freeOutside = [];
+        for (let i = 0; i < info.numAllocBlocks; i++) {
+            if (i < blocksToTake && this.abm[i] !== 0x000) inUse.push(i + 2);
+            if (i >= blocksToTake && this.abm[i] === 0x000) freeOutside.push(i + 2);
+        }
+        if (freeOutside.length < inUse.length) {
+            throw new Error(`Not enough free blocks to grow the directory. Need ${inUse.length}, found ${freeOutside.length}.`);
+        }
+
+        const relocation = new Map();
+        inUse.forEach((mfsBlockNum, i) => {
+            const target = freeOutside[i];
+            relocation.set(mfsBlockNum, target);
+            const data = MFSLibUtils.readBytes(this.dataView, this._blockDiskOffset(mfsBlockNum), info.allocBlockSize);
+            MFSLibUtils.writeBytes(this.dataView, this._blockDiskOffset(target), data);
+            this.abm[target - 2] = this.abm[mfsBlockNum - 2];
+        });
+        inUse.forEach(mfsBlockNum => { this.abm[mfsBlockNum - 2] = 0x000; });
+        const relocate = (value) => relocation.has(value) ? relocation.get(value) : value;
+        this.abm = this.abm.map(relocate);
+        for (const entry of this.fileDirectory) {
+            entry.dataForkStartBlock = relocate(entry.dataForkStartBlock);
+            entry.resourceForkStartBlock = relocate(entry.resourceForkStartBlock);
+        }
+
+        // Block N now lives where block N + blocksToTake used to be
+        const renumber = (value) => (value >= 2 && value !== 0xFFF) ? value - blocksToTake : value;
+        this.abm = this.abm.slice(blocksToTake, info.numAllocBlocks).map(renumber);
+        for (const entry of this.fileDirectory) {
+            entry.dataForkStartBlock = renumber(entry.dataForkStartBlock);
+            entry.resourceForkStartBlock = renumber(entry.resourceForkStartBlock);
+        }
+
+        const newDirSectors = blocksToTake * sectorsPerBlock;
+        MFSLibUtils.writeBytes(this.dataView, info.allocBlockStartSector * SECTOR_SIZE, new Uint8Array(newDirSectors * SECTOR_SIZE));
+        info.dirLengthBlocks += newDirSectors;
+        info.allocBlockStartSector += newDirSectors;
+        info.numAllocBlocks -= blocksToTake;
+        info.freeAllocBlocks -= blocksToTake;
+        info.modificationDate = new Date();
+
+        for (const entry of this.fileDirectory) {
+            this._writeFileDirectoryEntry(entry, entry._diskOffset);
+        }
+        this._writeMDB();
+
+        console.log(`File directory grown to ${info.dirLengthBlocks} sectors.`);
+        return info.dirLengthBlocks;
+    }
+
+    /**
+     * Produces a copy of this volume with a different size. The geometry is recomputed for the new
+     * size (see planGeometry) and every file is copied with both forks and all of its directory
+     * metadata: file number, type, creator, Finder flags, icon position, folder, lock and dates.
+     * The boot blocks, volume name, creation date and attributes carry over as well. Forks are laid
+     * out contiguously and only take the blocks their contents need. This volume is not modified.
+     * @param {number} newSizeKB - Size of the new image in kilobytes.
+     * @param {{dirSectors?: number}} [options] - Directory size of the new volume. By default the
+     *   standard size for the new volume, or more if the existing files need it.
+     * @returns {MFSVolume} The new volume.
+     * @throws {Error} Before anything is created, if the files or the directory won't fit.
+     */
+    resize(newSizeKB, options = {}) {
+        const entries = [...this.fileDirectory].sort((a, b) => a._diskOffset - b._diskOffset);
+
+        // Sectors the directory needs with the entries packed in their current order
+        let neededDirSectors = entries.length > 0 ? 1 : 0;
+        let sectorUsed = 0;
+        for (const entry of entries) {
+            if (sectorUsed + entry._entryLength > SECTOR_SIZE) {
+                neededDirSectors++;
+                sectorUsed = 0;
+            }
+            sectorUsed += entry._entryLength;
+        }
+        const dirSectors = options.dirSectors !== undefined
+            ? options.dirSectors
+            : Math.max(MFSVolume.planGeometry(newSizeKB).dirSectors, neededDirSectors);
+        const geometry = MFSVolume.planGeometry(newSizeKB, { dirSectors });
+        if (neededDirSectors > dirSectors) {
+            throw new Error(`Cannot resize to ${newSizeKB}KB: the ${entries.length} directory entries need ${neededDirSectors} sectors, but the directory has ${dirSectors}.`);
+        }
+
+        // Read every fork up front, so a corrupted chain fails before the new volume exists
+        const files = entries.map(entry => {
+            const forks = {};
+            for (const forkType of ['data', 'resource']) {
+                const length = entry[FORK_FIELDS[forkType].logicalLength];
+                forks[forkType] = this._readForkRange(this._getForkBlocks(entry, forkType), 0, length);
+            }
+            return { entry, forks };
+        });
+        const neededBlocks = files.reduce((sum, file) => sum
+            + Math.ceil(file.forks.data.length / geometry.allocBlockSize)
+            + Math.ceil(file.forks.resource.length / geometry.allocBlockSize), 0);
+        if (neededBlocks > geometry.numAllocBlocks) {
+            throw new Error(`Cannot resize to ${newSizeKB}KB: the files need ${neededBlocks} allocation blocks of ${geometry.allocBlockSize} bytes, but the volume would only have ${geometry.numAllocBlocks}.`);
+        }
+
+        const target = new MFSVolume({ create: true, sizeKB: newSizeKB, volumeName: this.volumeInfo.volumeName, dirSectors });
+        MFSLibUtils.writeBytes(target.dataView, 0, MFSLibUtils.readBytes(this.dataView, 0, BOOT_BLOCK_SECTORS * SECTOR_SIZE));
+
+        for (const { entry, forks } of files) {
+            const newEntry = { ...entry, iconPosition: { ...entry.iconPosition } };
+            for (const forkType of ['data', 'resource']) {
+                const fields = FORK_FIELDS[forkType];
+                const chain = target._allocateBlockChain(Math.ceil(forks[forkType].length / geometry.allocBlockSize));
+                target._writeForkRange(chain.allocatedBlocks, 0, forks[forkType]);
+                newEntry[fields.startBlock] = chain.startBlock;
+                newEntry[fields.allocLength] = chain.allocatedBlocks.length * geometry.allocBlockSize;
+            }
+            newEntry._diskOffset = target._findFreeDirectorySlot(entry._entryLength);
+            target._writeFileDirectoryEntry(newEntry, newEntry._diskOffset);
+            target._markDirectorySectorEnd(newEntry._diskOffset + newEntry._entryLength);
+        }
+
+        Object.assign(target.volumeInfo, {
+            numFiles: files.length,
+            nextFileNum: this.volumeInfo.nextFileNum,
+            creationDate: this.volumeInfo.creationDate,
+            modificationDate: new Date(),
+            attributes: this.volumeInfo.attributes
+        });
+        target._writeMDB();
+        target._parseFileDirectory();
+
+        console.log(`Volume "${this.volumeInfo.volumeName}" resized to ${newSizeKB}KB (${files.length} files copied).`);
+        return target;
+    }
+
+    /**
+     * Rewrites every block chain so that each fork occupies consecutive blocks. Files are packed
+     * from the start of the allocation area in directory order, data fork first, which leaves all
+     * free space as one run at the end of the volume. Blocks marked in use that no fork reaches
+     * are freed. Deleted files can no longer be recovered afterwards, so their leftover directory
+     * entries are cleared.
+     * @param {{force?: boolean}} [options] - `force: true` defragments even if the volume is locked.
+     * @returns {{forks: number, fragmentedBefore: number, blocksMoved: number}} Number of non-empty
+     *   forks, how many of them were split across several runs of blocks, and how many blocks moved.
+     */
+    defragment(options = {}) {
+        this._assertWritable(null, options);
+        const info = this.volumeInfo;
+
+        // Read every fork first, so a corrupted chain aborts before anything has changed
+        const forks = [];
+        const entriesInDiskOrder = [...this.fileDirectory].sort((a, b) => a._diskOffset - b._diskOffset);
+        for (const entry of entriesInDiskOrder) {
+            for (const forkType of ['data', 'resource']) {
+                const blocks = this._getForkBlocks(entry, forkType);
+                if (blocks.length > 0) {
+                    forks.push({ entry, forkType, blocks, content: this._readForkRange(blocks, 0, blocks.length * info.allocBlockSize) });
+                }
+            }
+        }
+
+        // Forks are copied into blocks other files used to hold before the ABM and directory are
+        // rewritten; if anything fails in between, roll it all back
+        return this.transaction(() => {
+            const newABM = this.abm.map(value => value === 0xFFF ? 0xFFF : 0x000);
+            let nextBlock = 2;
+            let fragmentedBefore = 0;
+            let blocksMoved = 0;
+            for (const fork of forks) {
+                if (fork.blocks.some((block, i) => i > 0 && block !== fork.blocks[i - 1] + 1)) {
+                    fragmentedBefore++;
+                }
+                const newBlocks = [];
+                while (newBlocks.length < fork.blocks.length) {
+                    if (newABM[nextBlock - 2] === 0x000) newBlocks.push(nextBlock);
+                    nextBlock++;
+                }
+                newBlocks.forEach((block, i) => {
+                    newABM[block - 2] = i < newBlocks.length - 1 ? newBlocks[i + 1] : 0x001;
+                    if (block !== fork.blocks[i]) blocksMoved++;
+                });
+                this._writeForkRange(newBlocks, 0, fork.content);
+                fork.entry[FORK_FIELDS[fork.forkType].startBlock] = newBlocks[0];
+            }
+
+            this.abm = newABM;
+            info.freeAllocBlocks = newABM.filter(value => value === 0x000).length;
+            info.modificationDate = new Date();
+            for (const entry of this.fileDirectory) {
+                this._writeFileDirectoryEntry(entry, entry._diskOffset);
+            }
+            const dirStartOffset = info.dirStartBlock * SECTOR_SIZE;
+            for (let sector = 0; sector < info.dirLengthBlocks; sector++) {
+                const sectorOffset = dirStartOffset + sector * SECTOR_SIZE;
+                const usedLength = this._directorySectorUsedLength(sectorOffset);
+                MFSLibUtils.writeBytes(this.dataView, sectorOffset + usedLength, new Uint8Array(SECTOR_SIZE - usedLength));
+            }
+            this._writeMDB();
+
+            console.log(`Volume defragmented: ${forks.length} forks, ${fragmentedBefore} were fragmented, ${blocksMoved} blocks moved.`);
+            return { forks: forks.length, fragmentedBefore, blocksMoved };
+        });
+    }
+
+    /**
+     * Byte offset in the image of the given allocation block.
+     * @param {number} mfsBlockNum - MFS block number (2-based).
+     * @returns {number}
+     */
+    _blockDiskOffset(mfsBlockNum) {
+        return (this.volumeInfo.allocBlockStartSector + (mfsBlockNum - 2) * (this.volumeInfo.allocBlockSize / SECTOR_SIZE)) * SECTOR_SIZE;
+    }
+
+    /**
+     * Returns the disk image. For a volume on an MFSMemoryDevice (including every volume created
+     * from an ArrayBuffer or without a device) this is the live buffer itself; for other devices
+     * the whole image is read into a new ArrayBuffer, including changes not flushed yet.
+     * @returns {ArrayBuffer}
+     */
+    getDiskImage() {
+        if (this.imageBuffer) {
+            return this.imageBuffer;
+        }
+        return MFSLibUtils.readBytes(this.dataView, 0, this.dataView.byteLength).buffer;
+    }
+
+    /**
+     * Writes all changes through to the block device and flushes it. Volumes on a file or Blob
+     * device keep changed sectors in memory until this is called.
+     */
+    flush() {
+        if (this._transactionSnapshots.length > 0) {
+            throw new Error("Cannot flush while a transaction is open.");
+        }
+        if (typeof this.dataView.flush === 'function') {
+            this.dataView.flush();
+        }
+        this.device.flush();
+    }
+
+    /**
+     * Loads a volume from a Disk Copy 4.2 image. The image's name and tag data are kept in
+     * `diskCopyInfo` and written back by toDiskCopy42().
+     * @param {ArrayBuffer} arrayBuffer - The .image file.
+     * @param {{ignoreChecksums?: boolean}} [options] - See MFSDiskCopy42.parse().
+     * @returns {MFSVolume}
+     */
+    static fromDiskCopy42(arrayBuffer, options = {}) {
+        const image = MFSDiskCopy42.parse(arrayBuffer, options);
+        const volume = new MFSVolume(image.data);
+        volume.diskCopyInfo = { name: image.name, dataSize: image.data.byteLength, tags: image.tags, format: image.format, formatByte: image.formatByte };
+        return volume;
+    }
+
+    /**
+     * Exports the volume as a Disk Copy 4.2 image with valid checksums. Tag data loaded by
+     * fromDiskCopy42() is included unchanged as long as the volume still has the same number of sectors.
+     * @param {{name?: string, tags?: boolean}} [options] - `name` defaults to the original image name,
+     *   or else the volume name. `tags: false` leaves the tag data out.
+     * @returns {ArrayBuffer}
+     */
+    toDiskCopy42(options = {}) {
+        const data = this.getDiskImage();
+        // The original format codes and tags only apply while the image keeps its size
+        const info = this.diskCopyInfo && this.diskCopyInfo.dataSize === data.byteLength ? this.diskCopyInfo : null;
+        let tags = null;
+        if (options.tags !== false && info && info.tags && info.tags.length === (data.byteLength / SECTOR_SIZE) * DC42_TAG_BYTES_PER_SECTOR) {
+            tags = info.tags;
+        }
+        return MFSDiskCopy42.build(data, {
+            name: options.name || (this.diskCopyInfo && this.diskCopyInfo.name) || this.volumeInfo.volumeName,
+            tags,
+            format: info ? info.format : undefined,
+            formatByte: info ? info.formatByte : undefined
+        });
+    }
+
+    /**
+     * Loads a volume from a DART image (RLE, LZH or uncompressed). The volume lives in memory;
+     * the sectors' tag data is kept in `diskCopyInfo` so toDiskCopy42() can carry it over.
+     * @param {ArrayBuffer} arrayBuffer - The DART file.
+     * @returns {MFSVolume}
+     */
+    static fromDart(arrayBuffer) {
+        const image = MFSDart.parse(arrayBuffer);
+        console.log(`Unpacked ${image.sizeKB}K DART image (${image.compression}).`);
+        const volume = new MFSVolume(image.data);
+        volume.diskCopyInfo = { name: null, dataSize: image.data.byteLength, tags: image.tags };
+        return volume;
+    }
+
+    /**
+     * Loads a volume from a MOOF flux-level image by decoding every sector's GCR. The tag bytes
+     * are kept in `diskCopyInfo` like those of a Disk Copy 4.2 image.
+     * @param {ArrayBuffer} arrayBuffer - The .moof file.
+     * @param {{ignoreChecksums?: boolean}} [options] - See MFSMoof.parse().
+     * @returns {MFSVolume}
+     */
+    static fromMoof(arrayBuffer, options = {}) {
+        const image = MFSMoof.parse(arrayBuffer, options);
+        const volume = new MFSVolume(image.data);
+        volume.diskCopyInfo = { name: null, dataSize: image.data.byteLength, tags: image.tags };
+        return volume;
+    }
+
+    /**
+     * Exports the volume as a MOOF image for flux hardware and emulators: 6-and-2 GCR with the
+     * Sony drive's speed zones and 2:1 interleave. Only 400K and 800K volumes can be exported.
+     * @param {{tags?: boolean, writeProtected?: boolean, creator?: string}} [options] - `tags: false`
+     *   writes zeroed tag bytes instead of those loaded with the image.
+     * @returns {ArrayBuffer}
+     */
+    toMoof(options = {}) {
+        const data = this.getDiskImage();
+        const info = this.diskCopyInfo;
+        let tags = null;
+        if (options.tags !== false && info && info.tags && info.tags.length === (data.byteLength / SECTOR_SIZE) * DC42_TAG_BYTES_PER_SECTOR) {
+            tags = info.tags;
+        }
+        return MFSMoof.build(data, { tags, writeProtected: options.writeProtected, creator: options.creator });
+    }
+
+    /**
+     * Identifies a disk image container.
+     * @param {ArrayBuffer} arrayBuffer - The file contents.
+     * @returns {'raw'|'diskcopy42'|'dart'|'moof'|null} `raw` for a bare MFS volume, null if unrecognized.
+     */
+    static detectImageFormat(arrayBuffer) {
+        if (MFSMoof.isMoof(arrayBuffer)) return 'moof';
+        if (MFSDiskCopy42.isDiskCopy42(arrayBuffer)) return 'diskcopy42';
+        if (MFSDart.isDart(arrayBuffer)) return 'dart';
+        if (arrayBuffer.byteLength >= (MDB_START_SECTOR + 1) * SECTOR_SIZE
+            && MFSLibUtils.readUint16BE(new DataView(arrayBuffer), MDB_START_SECTOR * SECTOR_SIZE) === MFS_SIGNATURE) {
+            return 'raw';
+        }
+        return null;
+    }
+
+    /**
+     * Opens a disk image in any supported container, detected with detectImageFormat().
+     * @param {ArrayBuffer} arrayBuffer - The file contents.
+     * @param {object} [options] - Passed to the format's loader (e.g. `ignoreChecksums` for Disk Copy 4.2 and MOOF).
+     * @returns {MFSVolume}
+     */
+    static fromImage(arrayBuffer, options = {}) {
+        switch (MFSVolume.detectImageFormat(arrayBuffer)) {
+            case 'diskcopy42': return MFSVolume.fromDiskCopy42(arrayBuffer, options);
+            case 'dart': return MFSVolume.fromDart(arrayBuffer);
+            case 'moof': return MFSVolume.fromMoof(arrayBuffer, options);
+            case 'raw': return new MFSVolume(arrayBuffer);
+            default: throw new Error("Unrecognized disk image format: not a raw MFS volume, Disk Copy 4.2, DART or MOOF image.");
+        }
+    }
+}
+
+/*
+ * Block devices. MFSVolume reads and writes its image through an object with this interface:
+ *   sectorCount                        Number of 512-byte sectors on the device.
+ *   readSectors(firstSector, count)    Returns a Uint8Array of count * 512 bytes.
+ *   writeSectors(firstSector, bytes)   Writes whole sectors (bytes.length is a multiple of 512).
+ *   flush()                            Makes written sectors durable.
+ *   readOnly (optional)                True if the device can't be written; the volume then reports itself locked.
+ */
+
+/**
+ * Block device over an ArrayBuffer. Volumes on a memory device use the buffer directly.
+ */
+class MFSMemoryDevice {
+    /**
+     * @param {ArrayBuffer} arrayBuffer - The image; it is used in place, not copied.
+     */
+    constructor(arrayBuffer) {
+        this.buffer = arrayBuffer;
+        this.sectorCount = Math.floor(arrayBuffer.byteLength / SECTOR_SIZE);
+    }
+
+    readSectors(firstSector, count) {
+        MFSLibUtils.checkSectorRange(this, firstSector, count);
+        return new Uint8Array(this.buffer, firstSector * SECTOR_SIZE, count * SECTOR_SIZE).slice();
+    }
+
+    writeSectors(firstSector, bytes) {
+        MFSLibUtils.checkSectorRange(this, firstSector, bytes.length / SECTOR_SIZE);
+        new Uint8Array(this.buffer).set(bytes, firstSector * SECTOR_SIZE);
+    }
+
+    flush() {
+        // Nothing to do: writes go straight to the buffer
+    }
+}
+
+/**
+ * Block device over an image file, for Node.js. Sectors are read and written with positioned
+ * synchronous I/O, so only the sectors the volume touches are transferred.
+ */
+class MFSNodeFileDevice {
+    /**
+     * @param {string | number} pathOrFd - Path of the image file, or an already open file descriptor.
+     * @param {{readOnly?: boolean}} [options] - `readOnly: true` opens the file for reading only.
+     */
+    constructor(pathOrFd, options = {}) {
+        this.fs = require('fs');
+        this.readOnly = options.readOnly === true;
+        this._ownsFd = typeof pathOrFd !== 'number';
+        this.fd = this._ownsFd ? this.fs.openSync(pathOrFd, this.readOnly ? 'r' : 'r+') : pathOrFd;
+        this.sectorCount = Math.floor(this.fs.fstatSync(this.fd).size / SECTOR_SIZE);
+    }
+
+    /**
+     * Creates (or truncates) an image file of the given size, filled with zeros.
+     * @param {string} path - Path of the file to create.
+     * @param {number} sizeKB - Size of the image in kilobytes.
+     * @returns {MFSNodeFileDevice}
+     */
+    static create(path, sizeKB) {
+        const fs = require('fs');
+        const fd = fs.openSync(path, 'w+');
+        fs.ftruncateSync(fd, sizeKB * 1024);
+        const device = new MFSNodeFileDevice(fd);
+        device._ownsFd = true;
+        return device;
+    }
+
+    readSectors(firstSector, count) {
+        MFSLibUtils.checkSectorRange(this, firstSector, count);
+        const bytes = new Uint8Array(count * SECTOR_SIZE);
+        this.fs.readSync(this.fd, bytes, 0, bytes.length, firstSector * SECTOR_SIZE);
+        return bytes;
+    }
+
+    writeSectors(firstSector, bytes) {
+        if (this.readOnly) {
+            throw new Error("Cannot write to a device opened read-only.");
+        }
+        MFSLibUtils.checkSectorRange(this, firstSector, bytes.length / SECTOR_SIZE);
+        this.fs.writeSync(this.fd, bytes, 0, bytes.length, firstSector * SECTOR_SIZE);
+    }
+
+    flush() {
+        if (!this.readOnly) {
+            this.fs.fsyncSync(this.fd);
+        }
+    }
+
+    /**
+     * Closes the file if this device opened it. Flush the volume first.
+     */
+    close() {
+        if (this._ownsFd && this.fd !== null) {
+            this.fs.closeSync(this.fd);
+        }
+        this.fd = null;
+    }
+}
+
+/**
+ * Block device over a Blob or File in the browser. Blobs are immutable, so written sectors are
+ * kept in memory on top of the original and toBlob() produces the updated image.
+ * Sectors are read on demand with FileReaderSync, which exists only in Web Workers. On the main
+ * thread, load what will be read beforehand with `await device.preload()`.
+ */
+class MFSBlobDevice {
+    /**
+     * @param {Blob} blob - The image.
+     */
+    constructor(blob) {
+        this.blob = blob;
+        this.sectorCount = Math.floor(blob.size / SECTOR_SIZE);
+        this._loaded = new Map();  // Sector index -> bytes read from the blob
+        this._written = new Map(); // Sector index -> bytes written since
+    }
+
+    /**
+     * Reads a range of sectors from the blob ahead of time (all of it by default).
+     * @param {number} [firstSector=0]
+     * @param {number} [count] - Defaults to the rest of the device.
+     * @returns {Promise<void>}
+     */
+    async preload(firstSector = 0, count = this.sectorCount - firstSector) {
+        MFSLibUtils.checkSectorRange(this, firstSector, count);
+        const bytes = new Uint8Array(await this.blob.slice(firstSector * SECTOR_SIZE, (firstSector + count) * SECTOR_SIZE).arrayBuffer());
+        this._storeLoaded(firstSector, bytes);
+    }
+
+    readSectors(firstSector, count) {
+        MFSLibUtils.checkSectorRange(this, firstSector, count);
+        const result = new Uint8Array(count * SECTOR_SIZE);
+        for (let i = 0; i < count; i++) {
+            const sector = firstSector + i;
+            if (!this._written.has(sector) && !this._loaded.has(sector)) {
+                this._readFromBlob(sector, firstSector + count);
+            }
+            result.set(this._written.get(sector) || this._loaded.get(sector), i * SECTOR_SIZE);
+        }
+        return result;
+    }
+
+    writeSectors(firstSector, bytes) {
+        MFSLibUtils.checkSectorRange(this, firstSector, bytes.length / SECTOR_SIZE);
+        for (let i = 0; i < bytes.length / SECTOR_SIZE; i++) {
+            this._written.set(firstSector + i, bytes.slice(i * SECTOR_SIZE, (i + 1) * SECTOR_SIZE));
+        }
+    }
+
+    flush() {
+        // Nothing to do: the changes live in memory until toBlob() is called
+    }
+
+    /**
+     * Builds the current image as a new Blob. Unchanged ranges are slices of the original blob,
+     * so this doesn't read them.
+     * @param {string} [type="application/octet-stream"]
+     * @returns {Blob}
+     */
+    toBlob(type = "application/octet-stream") {
+        const parts = [];
+        let runStart = 0;
+        for (let sector = 0; sector <= this.sectorCount; sector++) {
+            if (sector < this.sectorCount && !this._written.has(sector)) continue;
+            if (sector > runStart) {
+                parts.push(this.blob.slice(runStart * SECTOR_SIZE, sector * SECTOR_SIZE));
+            }
+            if (sector < this.sectorCount) {
+                parts.push(this._written.get(sector));
+            }
+            runStart = sector + 1;
+        }
+        parts.push(this.blob.slice(this.sectorCount * SECTOR_SIZE)); // Any partial sector at the end
+        return new Blob(parts, { type });
+    }
+
+    // Reads from `sector` up to the next sector already in memory (or `endSector`) in one go
+    _readFromBlob(sector, endSector) {
+        if (typeof FileReaderSync === 'undefined') {
+            throw new Error(`Sector ${sector} has not been loaded. Call preload() first, or use the device in a Web Worker.`);
+        }
+        let end = sector + 1;
+        while (end < endSector && !this._written.has(end) && !this._loaded.has(end)) end++;
+        const buffer = new FileReaderSync().readAsArrayBuffer(this.blob.slice(sector * SECTOR_SIZE, end * SECTOR_SIZE));
+        this._storeLoaded(sector, new Uint8Array(buffer));
+    }
+
+    _storeLoaded(firstSector, bytes) {
+        for (let i = 0; i < bytes.length / SECTOR_SIZE; i++) {
+            this._loaded.set(firstSector + i, bytes.slice(i * SECTOR_SIZE, (i + 1) * SECTOR_SIZE));
+        }
+    }
+}
+
+/**
+ * DataView stand-in over a block device, used by volumes not held in an ArrayBuffer. Sectors are
+ * read from the device when first accessed and cached; writes go to the cached copy and reach the
+ * device on flush(). Modified sectors stay cached until then; of the others, only the
+ * `cacheSectors` most recently used are kept.
+ */
+class MFSDeviceView {
+    /**
+     * @param {object} device - A block device (see MFSMemoryDevice for the interface).
+     * @param {number} [cacheSectors] - How many unmodified sectors to keep in memory.
+     */
+    constructor(device, cacheSectors = DEVICE_CACHE_SECTORS) {
+        this.device = device;
+        this.byteOffset = 0;
+        this.byteLength = device.sectorCount * SECTOR_SIZE;
+        this.cacheSectors = cacheSectors;
+        this.sectors = new Map(); // Sector index -> bytes, least recently used first
+        this.dirty = new Set();
+    }
+
+    getUint8(offset) {
+        this._checkRange(offset, 1);
+        return this._sector(Math.floor(offset / SECTOR_SIZE))[offset % SECTOR_SIZE];
+    }
+
+    getUint16(offset, littleEndian) {
+        const bytes = this.getBytes(offset, 2);
+        return littleEndian ? bytes[0] | (bytes[1] << 8) : (bytes[0] << 8) | bytes[1];
+    }
+
+    getUint32(offset, littleEndian) {
+        const bytes = this.getBytes(offset, 4);
+        if (littleEndian) bytes.reverse();
+        return ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
+    }
+
+    setUint8(offset, value) {
+        this._checkRange(offset, 1);
+        const sector = Math.floor(offset / SECTOR_SIZE);
+        this._sector(sector)[offset % SECTOR_SIZE] = value;
+        this.dirty.add(sector);
+    }
+
+    setUint16(offset, value, littleEndian) {
+        const bytes = [(value >> 8) & 0xFF, value & 0xFF];
+        this.setBytes(offset, littleEndian ? bytes.reverse() : bytes);
+    }
+
+    setUint32(offset, value, littleEndian) {
+        const bytes = [(value >>> 24) & 0xFF, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+        this.setBytes(offset, littleEndian ? bytes.reverse() : bytes);
+    }
+
+    getBytes(offset, length) {
+        this._checkRange(offset, length);
+        this._load(offset, length);
+        const result = new Uint8Array(length);
+        for (let done = 0; done < length;) {
+            const sector = Math.floor((offset + done) / SECTOR_SIZE);
+            const start = (offset + done) % SECTOR_SIZE;
+            const count = Math.min(SECTOR_SIZE - start, length - done);
+            result.set(this.sectors.get(sector).subarray(start, start + count), done);
+            done += count;
+        }
+        this._evict();
+        return result;
+    }
+
+    setBytes(offset, bytes) {
+        this._checkRange(offset, bytes.length);
+        this._load(offset, bytes.length);
+        for (let done = 0; done < bytes.length;) {
+            const sector = Math.floor((offset + done) / SECTOR_SIZE);
+            const start = (offset + done) % SECTOR_SIZE;
+            const count = Math.min(SECTOR_SIZE - start, bytes.length - done);
+            this.sectors.get(sector).set(bytes.slice(done, done + count), start);
+            this.dirty.add(sector);
+            done += count;
+        }
+        this._evict();
+    }
+
+    /**
+     * Writes modified sectors to the device, merging consecutive sectors into one write.
+     */
+    flush() {
+        const dirty = [...this.dirty].sort((a, b) => a - b);
+        for (let i = 0; i < dirty.length;) {
+            let end = i + 1;
+            while (end < dirty.length && dirty[end] === dirty[end - 1] + 1) end++;
+            const bytes = new Uint8Array((end - i) * SECTOR_SIZE);
+            for (let j = i; j < end; j++) {
+                bytes.set(this.sectors.get(dirty[j]), (j - i) * SECTOR_SIZE);
+            }
+            this.device.writeSectors(dirty[i], bytes);
+            i = end;
+        }
+        this.dirty.clear();
+        this._evict();
+    }
+
+    _sector(index) {
+        let bytes = this.sectors.get(index);
+        if (bytes) {
+            this.sectors.delete(index); // Re-inserted below as the most recently used
+        } else {
+            bytes = this.device.readSectors(index, 1);
+        }
+        this.sectors.set(index, bytes);
+        this._evict();
+        return bytes;
+    }
+
+    // Reads the sectors covering a byte range that aren't in memory yet, one device read per run.
+    // Cached ones are marked as recently used. Nothing is evicted until the caller is done with the range.
+    _load(offset, length) {
+        const last = Math.floor((offset + Math.max(length, 1) - 1) / SECTOR_SIZE);
+        for (let sector = Math.floor(offset / SECTOR_SIZE); sector <= last; sector++) {
+            if (this.sectors.has(sector)) {
+                const bytes = this.sectors.get(sector);
+                this.sectors.delete(sector);
+                this.sectors.set(sector, bytes);
+                continue;
+            }
+            let end = sector + 1;
+            while (end <= last && !this.sectors.has(end)) end++;
+            const bytes = this.device.readSectors(sector, end - sector);
+            for (let i = sector; i < end; i++) {
+                this.sectors.set(i, bytes.slice((i - sector) * SECTOR_SIZE, (i - sector + 1) * SECTOR_SIZE));
+            }
+            sector = end - 1;
+        }
+    }
+
+    // Drops the least recently used unmodified sectors beyond the cache limit
+    _evict() {
+        let excess = this.sectors.size - this.dirty.size - this.cacheSectors;
+        for (const sector of this.sectors.keys()) {
+            if (excess <= 0) break;
+            if (this.dirty.has(sector)) continue;
+            this.sectors.delete(sector);
+            excess--;
+        }
+    }
+
+    _checkRange(offset, length) {
+        if (offset < 0 || offset + length > this.byteLength) {
+            throw new RangeError(`Offset ${offset} (+${length}) is outside the device (${this.byteLength} bytes).`);
+        }
+    }
+}
+
+/**
+ * Copy-on-write journal used by MFSVolume transactions. It stands in for the volume's DataView
+ * (same get/set methods) and saves each sector the first time it is written, so the sectors can
+ * be put back on rollback. Each nested transaction gets its own level of saved sectors.
+ */
+class MFSJournaledView {
+    /**
+     * @param {DataView} view - The view being journaled; all reads and writes go through to it.
+     */
+    constructor(view) {
+        this.view = view;
+        this.levels = [new Map()]; // Per transaction level: sector index -> original bytes
+    }
+
+    get buffer() {
+        return this.view.buffer;
+    }
+
+    get byteOffset() {
+        return this.view.byteOffset;
+    }
+
+    get byteLength() {
+        return this.view.byteLength;
+    }
+
+    getUint8(offset) {
+        return this.view.getUint8(offset);
+    }
+
+    getUint16(offset, littleEndian) {
+        return this.view.getUint16(offset, littleEndian);
+    }
+
+    getUint32(offset, littleEndian) {
+        return this.view.getUint32(offset, littleEndian);
+    }
+
+    getBytes(offset, length) {
+        return MFSLibUtils.readBytes(this.view, offset, length);
+    }
+
+    setUint8(offset, value) {
+        this._saveSectors(offset, 1);
+        this.view.setUint8(offset, value);
+    }
+
+    setUint16(offset, value, littleEndian) {
+        this._saveSectors(offset, 2);
+        this.view.setUint16(offset, value, littleEndian);
+    }
+
+    setUint32(offset, value, littleEndian) {
+        this._saveSectors(offset, 4);
+        this.view.setUint32(offset, value, littleEndian);
+    }
+
+    setBytes(offset, bytes) {
+        this._saveSectors(offset, bytes.length);
+        MFSLibUtils.writeBytes(this.view, offset, bytes);
+    }
+
+    _saveSectors(offset, length) {
+        const level = this.levels[this.levels.length - 1];
+        const last = Math.floor((offset + Math.max(length, 1) - 1) / SECTOR_SIZE);
+        for (let sector = Math.floor(offset / SECTOR_SIZE); sector <= last; sector++) {
+            if (!level.has(sector)) {
+                const start = sector * SECTOR_SIZE;
+                level.set(sector, MFSLibUtils.readBytes(this.view, start, Math.min(SECTOR_SIZE, this.view.byteLength - start)));
+            }
+        }
+    }
+
+    /** Opens a nested level. */
+    push() {
+        this.levels.push(new Map());
+    }
+
+    /** Keeps the innermost level's writes; its saved sectors now belong to the enclosing level. */
+    commitLevel() {
+        const level = this.levels.pop();
+        const parent = this.levels[this.levels.length - 1];
+        if (parent) {
+            for (const [sector, bytes] of level) {
+                if (!parent.has(sector)) parent.set(sector, bytes);
+            }
+        }
+    }
+
+    /** Puts back every sector written since the innermost level was opened. */
+    rollbackLevel() {
+        const level = this.levels.pop();
+        for (const [sector, bytes] of level) {
+            MFSLibUtils.writeBytes(this.view, sector * SECTOR_SIZE, bytes);
+        }
+    }
+
+    get depth() {
+        return this.levels.length;
+    }
+}
+
+/**
+ * Random-access handle on one fork of a file, returned by MFSVolume.openFile().
+ * Every read and write resolves its position through the fork's block chain in the ABM,
+ * so only the bytes asked for are copied. Writing past the end grows the fork in place.
+ */
+class MFSFileHandle {
+    /**
+     * @param {MFSVolume} volume - The volume the file lives on.
+     * @param {number} fileNum - File number of the open file.
+     * @param {'data' | 'resource'} forkType - The open fork.
+     * @param {'r' | 'rw'} mode - Access mode.
+     */
+    constructor(volume, fileNum, forkType, mode) {
+        this.volume = volume;
+        this.fileNum = fileNum;
+        this.forkType = forkType;
+        this.mode = mode;
+        this.position = 0;
+        this.closed = false;
+        this._modified = false;
+    }
+
+    /**
+     * Looks the file up again on every call: other operations may have moved its directory entry.
+     */
+    _entry() {
+        if (this.closed) {
+            throw new Error("File handle is closed.");
+        }
+        const entry = this.volume.fileDirectory.find(candidate => candidate.fileNum === this.fileNum);
+        if (!entry) {
+            throw new Error(`File number ${this.fileNum} no longer exists on the volume.`);
+        }
+        return entry;
+    }
+
+    /**
+     * @returns {number} The logical length of the fork in bytes.
+     */
+    size() {
+        return this._entry()[FORK_FIELDS[this.forkType].logicalLength];
+    }
+
+    /**
+     * Sets the position used by read() and write() when no offset is given.
+     * @param {number} position - Byte offset within the fork. May lie past the end.
+     * @returns {number} The new position.
+     */
+    seek(position) {
+        this._entry();
+        if (!Number.isInteger(position) || position < 0) {
+            throw new Error(`Invalid seek position: ${position}`);
+        }
+        this.position = position;
+        return position;
+    }
+
+    /**
+     * Reads up to `length` bytes. Reading stops at the end of the fork.
+     * Call as read(), read(length) or read(offset, length); the first two read from the current position.
+     * @param {number} [offset] - Byte offset to read from (default: current position).
+     * @param {number} [length] - Number of bytes to read (default: up to the end of the fork).
+     * @returns {ArrayBuffer} The bytes read; shorter than `length` at the end of the fork.
+     */
+    read(offset, length) {
+        if (arguments.length < 2) {
+            length = offset;
+            offset = undefined;
+        }
+        if (offset === undefined) offset = this.position;
+        const entry = this._entry();
+        if (length !== undefined && (!Number.isInteger(length) || length < 0)) {
+            throw new Error(`Invalid read length: ${length}`);
+        }
+        if (!Number.isInteger(offset) || offset < 0) {
+            throw new Error(`Invalid read offset: ${offset}`);
+        }
+        const available = Math.max(0, this.size() - offset);
+        const count = length === undefined ? available : Math.min(length, available);
+
+        const blocks = this.volume._getForkBlocks(entry, this.forkType);
+        const bytes = this.volume._readForkRange(blocks, offset, count);
+        this.position = offset + count;
+        return bytes.buffer;
+    }
+
+    /**
+     * Writes bytes, growing the fork if the write ends past its current length.
+     * A gap between the old end of the fork and `offset` is filled with zeros.
+     * Throws without changing the fork if the volume has no room for the growth.
+     * Call as write(bytes) to write at the current position, or write(offset, bytes).
+     * @param {number} [offset] - Byte offset to write at (default: current position).
+     * @param {ArrayBuffer | Uint8Array} bytes - The bytes to write.
+     * @returns {number} Number of bytes written.
+     */
+    write(offset, bytes) {
+        if (arguments.length < 2) {
+            bytes = offset;
+            offset = undefined;
+        }
+        if (offset === undefined) offset = this.position;
+        if (!(bytes instanceof Uint8Array) && !(bytes instanceof ArrayBuffer)) {
+            throw new Error("write() needs an ArrayBuffer or Uint8Array.");
+        }
+        if (this.mode !== 'rw') {
+            throw new Error("File handle was opened read-only.");
+        }
+        const entry = this._entry();
+        if (!Number.isInteger(offset) || offset < 0) {
+            throw new Error(`Invalid write offset: ${offset}`);
+        }
+        const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        const fields = FORK_FIELDS[this.forkType];
+        const oldLength = entry[fields.logicalLength];
+        const end = offset + data.length;
+
+        let blocks;
+        if (end > oldLength) {
+            blocks = this.volume._resizeForkChain(entry, this.forkType, Math.ceil(end / this.volume.volumeInfo.allocBlockSize), { grow: true });
+            if (offset > oldLength) {
+                this.volume._writeForkRange(blocks, oldLength, new Uint8Array(offset - oldLength));
+            }
+            entry[fields.logicalLength] = end;
+            this.volume._writeFileDirectoryEntry(entry, entry._diskOffset);
+            this.volume._writeMDB();
+        } else {
+            blocks = this.volume._getForkBlocks(entry, this.forkType);
+        }
+        this.volume._writeForkRange(blocks, offset, data);
+
+        this._modified = true;
+        this.position = end;
+        return data.length;
+    }
+
+    /**
+     * Closes the handle. If anything was written, the file's modification date is updated.
+     */
+    close() {
+        if (this.closed) return;
+        if (this._modified) {
+            this.volume._touchFileEntry(this._entry());
+        }
+        this.closed = true;
+    }
+}
+
+/**
+ * Reads and writes Disk Copy 4.2 images: an 84-byte header (image name, sizes, checksums and disk
+ * format), the sector data, then 12 bytes of tag data per sector if the image has tags.
+ */
+class MFSDiskCopy42 {
+    /**
+     * Splits a Disk Copy 4.2 image into its parts.
+     * @param {ArrayBuffer} arrayBuffer - The .image file.
+     * @param {{ignoreChecksums?: boolean}} [options] - `ignoreChecksums: true` accepts an image whose
+     *   checksums don't match its contents.
+     * @returns {{name: string, data: ArrayBuffer, tags: ?Uint8Array, format: number, formatByte: number}}
+     * @throws {Error} If the header is invalid or a checksum doesn't match.
+     */
+    static parse(arrayBuffer, options = {}) {
+        const view = new DataView(arrayBuffer);
+        if (arrayBuffer.byteLength < DC42_HEADER_SIZE || MFSLibUtils.readUint16BE(view, 0x52) !== 0x0100) {
+            throw new Error("Not a Disk Copy 4.2 image.");
+        }
+        const dataSize = MFSLibUtils.readUint32BE(view, 0x40);
+        const tagSize = MFSLibUtils.readUint32BE(view, 0x44);
+        if (dataSize % SECTOR_SIZE !== 0 || DC42_HEADER_SIZE + dataSize + tagSize > arrayBuffer.byteLength) {
+            throw new Error(`Disk Copy 4.2 image is truncated or has invalid sizes (data ${dataSize}, tags ${tagSize} bytes).`);
+        }
+        const data = new Uint8Array(arrayBuffer, DC42_HEADER_SIZE, dataSize);
+        const tags = tagSize > 0 ? new Uint8Array(arrayBuffer, DC42_HEADER_SIZE + dataSize, tagSize) : null;
+
+        if (!options.ignoreChecksums) {
+            const dataChecksum = MFSDiskCopy42.checksum(data);
+            const expectedData = MFSLibUtils.readUint32BE(view, 0x48);
+            if (dataChecksum !== expectedData) {
+                throw new Error(`Disk Copy 4.2 data checksum mismatch: header says ${expectedData.toString(16)}, data sums to ${dataChecksum.toString(16)}.`);
+            }
+            const tagChecksum = tags ? MFSDiskCopy42.checksum(tags.subarray(DC42_TAG_BYTES_PER_SECTOR)) : 0;
+            const expectedTags = MFSLibUtils.readUint32BE(view, 0x4C);
+            if (tagChecksum !== expectedTags) {
+                throw new Error(`Disk Copy 4.2 tag checksum mismatch: header says ${expectedTags.toString(16)}, tags sum to ${tagChecksum.toString(16)}.`);
+            }
+        }
+
+        const nameLength = Math.min(MFSLibUtils.readUint8(view, 0), 63);
+        return {
+            name: MFSLibUtils.decodeMacRoman(MFSLibUtils.readBytes(view, 1, nameLength)),
+            data: data.slice().buffer,
+            tags: tags ? tags.slice() : null,
+            format: MFSLibUtils.readUint8(view, 0x50),
+            formatByte: MFSLibUtils.readUint8(view, 0x51)
+        };
+    }
+
+    /**
+     * Builds a Disk Copy 4.2 image.
+     * @param {ArrayBuffer} data - The sector data (a multiple of 512 bytes).
+     * @param {{name?: string, tags?: ?Uint8Array, format?: number, formatByte?: number}} [options]
+     *   `tags` must hold 12 bytes per sector if given. `format` and `formatByte` default to the
+     *   values Disk Copy uses for the image size (see _formatForSize).
+     * @returns {ArrayBuffer}
+     */
+    static build(data, options = {}) {
+        if (data.byteLength % SECTOR_SIZE !== 0) {
+            throw new Error(`Disk image size ${data.byteLength} is not a multiple of ${SECTOR_SIZE} bytes.`);
+        }
+        const tags = options.tags || null;
+        if (tags && tags.length !== (data.byteLength / SECTOR_SIZE) * DC42_TAG_BYTES_PER_SECTOR) {
+            throw new Error(`Tag data must be ${DC42_TAG_BYTES_PER_SECTOR} bytes per sector (${(data.byteLength / SECTOR_SIZE) * DC42_TAG_BYTES_PER_SECTOR} bytes), got ${tags.length}.`);
+        }
+        const defaults = MFSDiskCopy42._formatForSize(data.byteLength);
+        const tagSize = tags ? tags.length : 0;
+        const image = new ArrayBuffer(DC42_HEADER_SIZE + data.byteLength + tagSize);
+        const view = new DataView(image);
+
+        MFSLibUtils.writePascalString(view, 0, options.name || "", 64);
+        MFSLibUtils.writeUint32BE(view, 0x40, data.byteLength);
+        MFSLibUtils.writeUint32BE(view, 0x44, tagSize);
+        MFSLibUtils.writeUint32BE(view, 0x48, MFSDiskCopy42.checksum(new Uint8Array(data)));
+        MFSLibUtils.writeUint32BE(view, 0x4C, tags ? MFSDiskCopy42.checksum(tags.subarray(DC42_TAG_BYTES_PER_SECTOR)) : 0);
+        MFSLibUtils.writeUint8(view, 0x50, options.format !== undefined ? options.format : defaults.format);
+        MFSLibUtils.writeUint8(view, 0x51, options.formatByte !== undefined ? options.formatByte : defaults.formatByte);
+        MFSLibUtils.writeUint16BE(view, 0x52, 0x0100);
+        MFSLibUtils.writeBytes(view, DC42_HEADER_SIZE, new Uint8Array(data));
+        if (tags) {
+            MFSLibUtils.writeBytes(view, DC42_HEADER_SIZE + data.byteLength, tags);
+        }
+        return image;
+    }
+
+    /**
+     * Disk Copy 4.2 checksum: each big-endian 16-bit word is added to a 32-bit sum, which is then
+     * rotated right by one bit. (Disk Copy leaves the first sector's 12 tag bytes out of the tag checksum.)
+     * @param {Uint8Array} bytes - An even number of bytes.
+     * @returns {number}
+     */
+    static checksum(bytes) {
+        let sum = 0;
+        for (let i = 0; i + 1 < bytes.length; i += 2) {
+            sum = (sum + ((bytes[i] << 8) | bytes[i + 1])) >>> 0;
+            sum = ((sum >>> 1) | (sum << 31)) >>> 0;
+        }
+        return sum;
+    }
+
+    /**
+     * @returns {boolean} True if the buffer starts with a plausible Disk Copy 4.2 header.
+     */
+    static isDiskCopy42(arrayBuffer) {
+        if (arrayBuffer.byteLength < DC42_HEADER_SIZE) return false;
+        const view = new DataView(arrayBuffer);
+        const dataSize = MFSLibUtils.readUint32BE(view, 0x40);
+        const tagSize = MFSLibUtils.readUint32BE(view, 0x44);
+        return MFSLibUtils.readUint16BE(view, 0x52) === 0x0100 && MFSLibUtils.readUint8(view, 0) <= 63
+            && dataSize > 0 && dataSize % SECTOR_SIZE === 0 && DC42_HEADER_SIZE + dataSize + tagSize === arrayBuffer.byteLength;
+    }
+
+    // Disk format codes: 0 = 400K GCR, 1 = 800K GCR, 2 = 720K MFM, 3 = 1440K MFM
+    static _formatForSize(byteLength) {
+        switch (byteLength) {
+            case 400 * 1024: return { format: 0, formatByte: 0x12 };
+            case 800 * 1024: return { format: 1, formatByte: 0x22 };
+            case 720 * 1024: return { format: 2, formatByte: 0x22 };
+            case 1440 * 1024: return { format: 3, formatByte: 0x22 };
+            default: return { format: 0xFF, formatByte: 0x22 }; // Not a floppy size
+        }
+    }
+}
+
+/**
+ * Reads DART (Disk Archive/Retrieval Tool) images. A DART file holds a 4-byte header
+ * (compression, disk type, size in KB), a table of compressed chunk lengths, then the chunks.
+ * Each chunk unpacks to 40 sectors: 20480 bytes of data followed by 480 bytes of tags.
+ */
+class MFSDart {
+    /**
+     * @returns {boolean} True if the buffer starts with a DART header whose chunk table matches the file size.
+     */
+    static isDart(arrayBuffer) {
+        try {
+            MFSDart._readHeader(arrayBuffer);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Unpacks a DART image.
+     * @param {ArrayBuffer} arrayBuffer - The DART file.
+     * @returns {{data: ArrayBuffer, tags: Uint8Array, compression: 'rle'|'lzh'|'none', diskType: number, sizeKB: number}}
+     */
+    static parse(arrayBuffer) {
+        const header = MFSDart._readHeader(arrayBuffer);
+        const sectorCount = header.sizeKB * 2;
+        const data = new Uint8Array(sectorCount * SECTOR_SIZE);
+        const tags = new Uint8Array(sectorCount * DC42_TAG_BYTES_PER_SECTOR);
+        const bytes = new Uint8Array(arrayBuffer);
+
+        let offset = header.headerSize;
+        header.chunks.forEach((chunk, index) => {
+            if (chunk.size === 0) return;
+            const input = bytes.subarray(offset, offset + chunk.size);
+            offset += chunk.size;
+            let unpacked;
+            if (chunk.stored) {
+                unpacked = input;
+            } else if (header.compression === 'rle') {
+                unpacked = MFSDart._expandRLE(input, DART_CHUNK_SIZE);
+            } else {
+                unpacked = MFSDart._expandLZH(input, DART_CHUNK_SIZE);
+            }
+            const firstSector = index * DART_SECTORS_PER_CHUNK;
+            const sectors = Math.min(DART_SECTORS_PER_CHUNK, sectorCount - firstSector);
+            data.set(unpacked.subarray(0, sectors * SECTOR_SIZE), firstSector * SECTOR_SIZE);
+            const tagStart = DART_SECTORS_PER_CHUNK * SECTOR_SIZE;
+            tags.set(unpacked.subarray(tagStart, tagStart + sectors * DC42_TAG_BYTES_PER_SECTOR), firstSector * DC42_TAG_BYTES_PER_SECTOR);
+        });
+
+        return { data: data.buffer, tags, compression: header.compression, diskType: header.diskType, sizeKB: header.sizeKB };
+    }
+
+    static _readHeader(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        if (arrayBuffer.byteLength < 4) {
+            throw new Error("Not a DART image.");
+        }
+        const compression = ['rle', 'lzh', 'none'][MFSLibUtils.readUint8(view, 0)];
+        const diskType = MFSLibUtils.readUint8(view, 1);
+        const sizeKB = MFSLibUtils.readUint16BE(view, 2);
+        if (!compression || ![1, 2, 3, 16, 17, 18].includes(diskType) || ![400, 720, 800, 1440].includes(sizeKB)) {
+            throw new Error("Not a DART image.");
+        }
+        // High-density disks have a 72-entry chunk table, everything else 40
+        const tableEntries = sizeKB === 1440 ? 72 : 40;
+        const headerSize = 4 + tableEntries * 2;
+        const chunkCount = Math.ceil(sizeKB * 1024 / (DART_SECTORS_PER_CHUNK * SECTOR_SIZE));
+        if (arrayBuffer.byteLength < headerSize) {
+            throw new Error("DART image is truncated.");
+        }
+
+        const chunks = [];
+        let total = headerSize;
+        for (let i = 0; i < chunkCount; i++) {
+            const length = MFSLibUtils.readUint16BE(view, 4 + i * 2);
+            if (length === 0xFFFF) {
+                chunks.push({ size: DART_CHUNK_SIZE, stored: true });
+            } else if (compression === 'none') {
+                chunks.push({ size: length === 0 ? 0 : DART_CHUNK_SIZE, stored: true });
+            } else {
+                // RLE chunk lengths count 16-bit words, LZH chunk lengths bytes
+                chunks.push({ size: compression === 'rle' ? length * 2 : length, stored: false });
+            }
+            total += chunks[i].size;
+        }
+        if (total > arrayBuffer.byteLength) {
+            throw new Error(`DART image is truncated: its chunks need ${total} bytes, the file has ${arrayBuffer.byteLength}.`);
+        }
+        return { compression, diskType, sizeKB, headerSize, chunks };
+    }
+
+    /**
+     * DART "fast" compression: a stream of 16-bit words. A positive count n is followed by n
+     * literal words; a negative count -n by one word to be repeated n times.
+     */
+    static _expandRLE(input, outputLength) {
+        const output = new Uint8Array(outputLength);
+        let inPos = 0;
+        let outPos = 0;
+        while (outPos < outputLength && inPos + 1 < input.length) {
+            const count = ((input[inPos] << 8) | input[inPos + 1]) << 16 >> 16; // Signed
+            inPos += 2;
+            if (count >= 0) {
+                const length = Math.min(count * 2, outputLength - outPos, input.length - inPos);
+                output.set(input.subarray(inPos, inPos + length), outPos);
+                inPos += count * 2;
+                outPos += length;
+            } else {
+                const high = input[inPos];
+                const low = input[inPos + 1];
+                inPos += 2;
+                for (let i = 0; i < -count && outPos < outputLength; i++) {
+                    output[outPos++] = high;
+                    if (outPos < outputLength) output[outPos++] = low;
+                }
+            }
+        }
+        if (outPos < outputLength) {
+            throw new Error(`DART RLE chunk ended after ${outPos} of ${outputLength} bytes.`);
+        }
+        return output;
+    }
+
+    /**
+     * DART "best" compression: LZHUF (LZSS with a 4096-byte window and adaptive Huffman coding),
+     * with each chunk compressed on its own.
+     */
+    static _expandLZH(input, outputLength) {
+        const N = 4096, F = 60, THRESHOLD = 2;
+        const N_CHAR = 256 - THRESHOLD + F;
+        const T = N_CHAR * 2 - 1;
+        const R = T - 1;
+        const MAX_FREQ = 0x8000;
+
+        const freq = new Uint32Array(T + 1);
+        const prnt = new Int32Array(T + N_CHAR);
+        const son = new Int32Array(T);
+        for (let i = 0; i < N_CHAR; i++) {
+            freq[i] = 1;
+            son[i] = i + T;
+            prnt[i + T] = i;
+        }
+        for (let i = 0, j = N_CHAR; j <= R; i += 2, j++) {
+            freq[j] = freq[i] + freq[i + 1];
+            son[j] = i;
+            prnt[i] = prnt[i + 1] = j;
+        }
+        freq[T] = 0xFFFF;
+        prnt[R] = 0;
+
+        const rebuild = () => {
+            let j = 0;
+            for (let i = 0; i < T; i++) {
+                if (son[i] >= T) {
+                    freq[j] = (freq[i] + 1) >> 1;
+                    son[j] = son[i];
+                    j++;
+                }
+            }
+            for (let i = 0, j2 = N_CHAR; j2 < T; i += 2, j2++) {
+                const f = freq[i] + freq[i + 1];
+                let k = j2 - 1;
+                while (f < freq[k]) k--;
+                k++;
+                freq.copyWithin(k + 1, k, j2);
+                freq[k] = f;
+                son.copyWithin(k + 1, k, j2);
+                son[k] = i;
+            }
+            for (let i = 0; i < T; i++) {
+                const k = son[i];
+                if (k >= T) {
+                    prnt[k] = i;
+                } else {
+                    prnt[k] = prnt[k + 1] = i;
+                }
+            }
+        };
+
+        const update = (symbol) => {
+            if (freq[R] === MAX_FREQ) rebuild();
+            let c = prnt[symbol + T];
+            do {
+                const k = ++freq[c];
+                let l = c + 1;
+                if (k > freq[l]) {
+                    while (k > freq[++l]);
+                    l--;
+                    freq[c] = freq[l];
+                    freq[l] = k;
+                    const i = son[c];
+                    prnt[i] = l;
+                    if (i < T) prnt[i + 1] = l;
+                    const j = son[l];
+                    son[l] = i;
+                    prnt[j] = c;
+                    if (j < T) prnt[j + 1] = c;
+                    son[c] = j;
+                    c = l;
+                }
+                c = prnt[c];
+            } while (c !== 0);
+        };
+
+        let inPos = 0;
+        let bitBuffer = 0;
+        let bitCount = 0;
+        const fill = () => {
+            while (bitCount <= 8) {
+                const byte = inPos < input.length ? input[inPos++] : 0;
+                bitBuffer |= byte << (8 - bitCount);
+                bitCount += 8;
+            }
+        };
+        const getBit = () => {
+            fill();
+            const bit = (bitBuffer >> 15) & 1;
+            bitBuffer = (bitBuffer << 1) & 0xFFFF;
+            bitCount--;
+            return bit;
+        };
+        const getByte = () => {
+            fill();
+            const byte = (bitBuffer >> 8) & 0xFF;
+            bitBuffer = (bitBuffer << 8) & 0xFFFF;
+            bitCount -= 8;
+            return byte;
+        };
+
+        // Upper 6 bits of a match position: a 3 to 8 bit prefix code
+        const positionCodeLengths = [3, 4, 4, 4, ...Array(8).fill(5), ...Array(12).fill(6), ...Array(24).fill(7), ...Array(16).fill(8)];
+        const dCode = new Uint8Array(256);
+        const dLen = new Uint8Array(256);
+        for (let j = 0, code = 0; j < 64; j++) {
+            const span = 1 << (8 - positionCodeLengths[j]);
+            dCode.fill(j, code, code + span);
+            dLen.fill(positionCodeLengths[j], code, code + span);
+            code += span;
+        }
+
+        const window = new Uint8Array(N).fill(0x20);
+        let r = N - F;
+        const output = new Uint8Array(outputLength);
+        let outPos = 0;
+        while (outPos < outputLength) {
+            let c = son[R];
+            while (c < T) {
+                c = son[c + getBit()];
+            }
+            c -= T;
+            update(c);
+
+            if (c < 256) {
+                output[outPos++] = c;
+                window[r] = c;
+                r = (r + 1) & (N - 1);
+            } else {
+                let i = getByte();
+                const high = dCode[i] << 6;
+                for (let bits = dLen[i] - 2; bits > 0; bits--) {
+                    i = (i << 1) + getBit();
+                }
+                const position = high | (i & 0x3F);
+                const start = (r - position - 1) & (N - 1);
+                const length = c - 255 + THRESHOLD;
+                for (let k = 0; k < length && outPos < outputLength; k++) {
+                    const byte = window[(start + k) & (N - 1)];
+                    output[outPos++] = byte;
+                    window[r] = byte;
+                    r = (r + 1) & (N - 1);
+                }
+            }
+        }
+        return output;
+    }
+}
+
+/**
+ * Reads and writes MOOF (Applesauce) flux-level images of 400K and 800K GCR floppies. Each track
+ * is stored as the bitstream the drive head would see: self-sync gaps, then per sector an address
+ * field (D5 AA 96) and a data field (D5 AA AD) holding the 12 tag bytes and 512 data bytes in 6-and-2 GCR.
+ */
+class MFSMoof {
+    /**
+     * Encodes a disk image as MOOF.
+     * @param {ArrayBuffer} data - 409600 (single-sided) or 819200 (double-sided) bytes of sector data.
+     * @param {{tags?: ?Uint8Array, writeProtected?: boolean, creator?: string}} [options]
+     *   `tags` holds 12 bytes per sector (zeros if omitted).
+     * @returns {ArrayBuffer}
+     */
+    static build(data, options = {}) {
+        const bytes = new Uint8Array(data);
+        const sides = MFSMoof._sidesForSize(bytes.length);
+        const tags = options.tags || null;
+        if (tags && tags.length !== (bytes.length / SECTOR_SIZE) * DC42_TAG_BYTES_PER_SECTOR) {
+            throw new Error(`Tag data must be ${DC42_TAG_BYTES_PER_SECTOR} bytes per sector (${(bytes.length / SECTOR_SIZE) * DC42_TAG_BYTES_PER_SECTOR} bytes), got ${tags.length}.`);
+        }
+
+        const tracks = MFSMoof._trackLayout(sides).map(layout => MFSMoof._encodeTrack(layout, bytes, tags, sides));
+        let bitsSize = 0;
+        let largestTrack = 0;
+        for (const track of tracks) {
+            track.blockCount = Math.ceil(track.bytes.length / SECTOR_SIZE);
+            bitsSize += track.blockCount * SECTOR_SIZE;
+            largestTrack = Math.max(largestTrack, track.blockCount);
+        }
+
+        const image = new Uint8Array(MOOF_BITS_START_BLOCK * SECTOR_SIZE + bitsSize);
+        const view = new DataView(image.buffer);
+        image.set(MOOF_SIGNATURE, 0);
+
+        // INFO chunk
+        MFSMoof._writeChunkHeader(view, 12, 'INFO', 60);
+        MFSLibUtils.writeUint8(view, 20, 1); // INFO version
+        MFSLibUtils.writeUint8(view, 21, sides === 2 ? 2 : 1); // 1 = SSDD GCR (400K), 2 = DSDD GCR (800K)
+        MFSLibUtils.writeUint8(view, 22, options.writeProtected ? 1 : 0);
+        MFSLibUtils.writeUint8(view, 23, 0); // Tracks not cross-track synchronized
+        MFSLibUtils.writeUint8(view, 24, GCR_BIT_CELL_NS / 125); // Optimal bit timing, 125 ns units
+        const creator = new TextEncoder().encode((options.creator || 'mfs.js').padEnd(32, ' ')).subarray(0, 32);
+        image.set(creator, 25);
+        MFSLibUtils.writeUint16LE(view, 58, largestTrack);
+
+        // TMAP chunk: one entry per track and side, 0xFF for tracks that aren't present
+        MFSMoof._writeChunkHeader(view, 80, 'TMAP', 160);
+        image.fill(0xFF, 88, 88 + 160);
+
+        // TRKS chunk: 160 eight-byte track descriptors, then the bitstreams on 512-byte boundaries
+        MFSMoof._writeChunkHeader(view, 248, 'TRKS', 1280 + bitsSize);
+        let block = MOOF_BITS_START_BLOCK;
+        tracks.forEach((track, index) => {
+            MFSLibUtils.writeUint8(view, 88 + track.track * 2 + track.side, index);
+            MFSLibUtils.writeUint16LE(view, 256 + index * 8, block);
+            MFSLibUtils.writeUint16LE(view, 256 + index * 8 + 2, track.blockCount);
+            MFSLibUtils.writeUint32LE(view, 256 + index * 8 + 4, track.bitCount);
+            image.set(track.bytes, block * SECTOR_SIZE);
+            block += track.blockCount;
+        });
+
+        MFSLibUtils.writeUint32LE(view, 8, MFSMoof.crc32(image.subarray(12)));
+        return image.buffer;
+    }
+
+    /**
+     * Decodes the sectors of a MOOF image.
+     * @param {ArrayBuffer} arrayBuffer - The .moof file.
+     * @param {{ignoreChecksums?: boolean}} [options] - `ignoreChecksums: true` skips the file's CRC32 check.
+     *   Sector checksums are always verified.
+     * @returns {{data: ArrayBuffer, tags: Uint8Array, diskType: number, writeProtected: boolean}}
+     * @throws {Error} If the file is damaged, isn't a GCR disk, or any sector can't be read.
+     */
+    static parse(arrayBuffer, options = {}) {
+        if (!MFSMoof.isMoof(arrayBuffer)) {
+            throw new Error("Not a MOOF image.");
+        }
+        const bytes = new Uint8Array(arrayBuffer);
+        const view = new DataView(arrayBuffer);
+        const storedCrc = MFSLibUtils.readUint32LE(view, 8);
+        if (!options.ignoreChecksums && storedCrc !== 0) { // A zero CRC means none was recorded
+            const actualCrc = MFSMoof.crc32(bytes.subarray(12));
+            if (actualCrc !== storedCrc) {
+                throw new Error(`MOOF CRC32 mismatch: header says ${storedCrc.toString(16)}, file is ${actualCrc.toString(16)}.`);
+            }
+        }
+
+        const chunks = {};
+        for (let offset = 12; offset + 8 <= bytes.length;) {
+            const id = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+            const size = MFSLibUtils.readUint32LE(view, offset + 4);
+            chunks[id] = offset + 8;
+            offset += 8 + size;
+        }
+        if (chunks.INFO === undefined || chunks.TMAP === undefined || chunks.TRKS === undefined) {
+            throw new Error("MOOF image is missing its INFO, TMAP or TRKS chunk.");
+        }
+        const diskType = MFSLibUtils.readUint8(view, chunks.INFO + 1);
+        if (diskType !== 1 && diskType !== 2) {
+            throw new Error(`MOOF disk type ${diskType} is not supported; only 400K and 800K GCR disks can be read.`);
+        }
+        const sides = diskType;
+
+        const sectorCount = MFSMoof._trackLayout(sides).reduce((sum, layout) => sum + layout.sectors, 0);
+        const data = new Uint8Array(sectorCount * SECTOR_SIZE);
+        const tags = new Uint8Array(sectorCount * DC42_TAG_BYTES_PER_SECTOR);
+        const missing = [];
+        for (const layout of MFSMoof._trackLayout(sides)) {
+            const index = MFSLibUtils.readUint8(view, chunks.TMAP + layout.track * 2 + layout.side);
+            let found = new Map();
+            if (index !== 0xFF) {
+                const descriptor = chunks.TRKS + index * 8;
+                const start = MFSLibUtils.readUint16LE(view, descriptor) * SECTOR_SIZE;
+                const length = MFSLibUtils.readUint16LE(view, descriptor + 2) * SECTOR_SIZE;
+                const bitCount = MFSLibUtils.readUint32LE(view, descriptor + 4);
+                if (start + length > bytes.length || bitCount > length * 8) {
+                    throw new Error(`MOOF image is truncated at track ${layout.track}, side ${layout.side}.`);
+                }
+                found = MFSMoof._decodeTrack(bytes.subarray(start, start + length), bitCount, layout);
+            }
+            for (let sector = 0; sector < layout.sectors; sector++) {
+                const contents = found.get(sector);
+                if (!contents) {
+                    missing.push(`track ${layout.track} side ${layout.side} sector ${sector}`);
+                    continue;
+                }
+                const block = layout.firstSector + sector;
+                tags.set(contents.subarray(0, DC42_TAG_BYTES_PER_SECTOR), block * DC42_TAG_BYTES_PER_SECTOR);
+                data.set(contents.subarray(DC42_TAG_BYTES_PER_SECTOR), block * SECTOR_SIZE);
+            }
+        }
+        if (missing.length > 0) {
+            throw new Error(`MOOF image has ${missing.length} unreadable sector(s), starting with ${missing[0]}.`);
+        }
+
+        return { data: data.buffer, tags, diskType, writeProtected: MFSLibUtils.readUint8(view, chunks.INFO + 2) === 1 };
+    }
+
+    /**
+     * @returns {boolean} True if the buffer starts with the MOOF signature.
+     */
+    static isMoof(arrayBuffer) {
+        if (arrayBuffer.byteLength < 12) return false;
+        const bytes = new Uint8Array(arrayBuffer, 0, MOOF_SIGNATURE.length);
+        return MOOF_SIGNATURE.every((value, i) => bytes[i] === value);
+    }
+
+    /**
+     * Standard CRC-32 (as used by zip and PNG), which MOOF files carry over everything after the 12-byte header.
+     * @param {Uint8Array} bytes
+     * @returns {number}
+     */
+    static crc32(bytes) {
+        if (!MFSMoof._crcTable) {
+            MFSMoof._crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                MFSMoof._crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = MFSMoof._crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    static _sidesForSize(byteLength) {
+        if (byteLength === 400 * 1024) return 1;
+        if (byteLength === 800 * 1024) return 2;
+        throw new Error(`MOOF export needs a 400K or 800K disk image, got ${byteLength} bytes.`);
+    }
+
+    // Logical sector order runs through each cylinder's sides before moving to the next track
+    static _trackLayout(sides) {
+        const layout = [];
+        let firstSector = 0;
+        for (let track = 0; track < SONY_TRACKS_PER_SIDE; track++) {
+            const sectors = SONY_ZONES[Math.floor(track / 16)].sectors;
+            for (let side = 0; side < sides; side++) {
+                layout.push({ track, side, sectors, firstSector });
+                firstSector += sectors;
+            }
+        }
+        return layout;
+    }
+
+    // 2:1 interleave: the order in which logical sectors pass under the head
+    static _interleave(sectors) {
+        const slots = new Array(sectors).fill(-1);
+        let position = 0;
+        for (let sector = 0; sector < sectors; sector++) {
+            while (slots[position] !== -1) position = (position + 1) % sectors;
+            slots[position] = sector;
+            position = (position + 2) % sectors;
+        }
+        return slots;
+    }
+
+    static _writeChunkHeader(view, offset, id, size) {
+        for (let i = 0; i < 4; i++) {
+            MFSLibUtils.writeUint8(view, offset + i, id.charCodeAt(i));
+        }
+        MFSLibUtils.writeUint32LE(view, offset + 4, size);
+    }
+
+    static _encodeTrack(layout, bytes, tags, sides) {
+        const zone = SONY_ZONES[Math.floor(layout.track / 16)];
+        // One revolution at the zone's speed
+        const revolutionBits = Math.floor(60e9 / zone.rpm / GCR_BIT_CELL_NS);
+        const out = new Uint8Array(Math.ceil(revolutionBits / 8));
+        let bitCount = 0;
+        const putBits = (value, count) => {
+            for (let bit = count - 1; bit >= 0; bit--) {
+                if ((value >> bit) & 1) out[bitCount >> 3] |= 0x80 >> (bitCount & 7);
+                bitCount++;
+            }
+        };
+        const putNibbles = (nibbles) => nibbles.forEach(nibble => putBits(nibble, 8));
+        // Self-sync: FF followed by two zero bits, so a reader falls into nibble alignment
+        const putSync = (count) => {
+            for (let i = 0; i < count; i++) putBits(0x3FC, 10);
+        };
+        const gcr = (value) => GCR_ENCODE_6AND2[value & 0x3F];
+
+        const format = sides === 2 ? 0x22 : 0x02; // Sides in bit 5, interleave factor in the low bits
+        const sideField = (layout.side << 5) | (layout.track >> 6);
+        const sectorBytes = new Uint8Array(DC42_TAG_BYTES_PER_SECTOR + SECTOR_SIZE);
+        putSync(20);
+        for (const sector of MFSMoof._interleave(layout.sectors)) {
+            const block = layout.firstSector + sector;
+            putSync(6);
+            putNibbles([0xD5, 0xAA, 0x96, gcr(layout.track), gcr(sector), gcr(sideField), gcr(format),
+                gcr(layout.track ^ sector ^ sideField ^ format), 0xDE, 0xAA]);
+            putSync(5);
+
+            sectorBytes.fill(0, 0, DC42_TAG_BYTES_PER_SECTOR);
+            if (tags) {
+                sectorBytes.set(tags.subarray(block * DC42_TAG_BYTES_PER_SECTOR, (block + 1) * DC42_TAG_BYTES_PER_SECTOR), 0);
+            }
+            sectorBytes.set(bytes.subarray(block * SECTOR_SIZE, (block + 1) * SECTOR_SIZE), DC42_TAG_BYTES_PER_SECTOR);
+            putNibbles([0xD5, 0xAA, 0xAD, gcr(sector)]);
+            putNibbles(MFSMoof._encodeSectorData(sectorBytes).map(gcr));
+            putNibbles([0xDE, 0xAA]);
+        }
+        // Fill out the revolution with sync
+        while (bitCount + 10 <= revolutionBits) putSync(1);
+
+        return { track: layout.track, side: layout.side, bytes: out, bitCount };
+    }
+
+    /**
+     * Finds and decodes every readable sector on a track. The bitstream is read twice round so
+     * a sector that straddles the index is still found.
+     * @returns {Map<number, Uint8Array>} Sector number to its 524 bytes (tags, then data).
+     */
+    static _decodeTrack(bits, bitCount, layout) {
+        if (!MFSMoof._gcrDecode) {
+            MFSMoof._gcrDecode = new Int8Array(256).fill(-1);
+            GCR_ENCODE_6AND2.forEach((nibble, value) => { MFSMoof._gcrDecode[nibble] = value; });
+        }
+        const decode = MFSMoof._gcrDecode;
+
+        // Like the disk controller: shift bits in until the high bit is set, then that's a nibble
+        const nibbles = [];
+        let shifter = 0;
+        for (let i = 0; i < bitCount * 2; i++) {
+            const position = i % bitCount;
+            shifter = (shifter << 1) | ((bits[position >> 3] >> (7 - (position & 7))) & 1);
+            if (shifter & 0x80) {
+                nibbles.push(shifter);
+                shifter = 0;
+            }
+        }
+
+        const found = new Map();
+        const dataNibbles = 1 + 699 + 4; // Sector number, 524 bytes in 6-and-2, checksum
+        for (let i = 0; i + 8 <= nibbles.length; i++) {
+            if (nibbles[i] !== 0xD5 || nibbles[i + 1] !== 0xAA || nibbles[i + 2] !== 0x96) continue;
+            const address = nibbles.slice(i + 3, i + 8).map(nibble => decode[nibble]);
+            if (address.some(value => value < 0)) continue;
+            const [track, sector, sideField, format, checksum] = address;
+            if ((track ^ sector ^ sideField ^ format) !== checksum) continue;
+            if (track !== (layout.track & 0x3F) || (sideField >> 5) !== layout.side || sector >= layout.sectors || found.has(sector)) continue;
+
+            // The data field follows after a short gap
+            let mark = i + 8;
+            while (mark < i + 64 && mark + 3 <= nibbles.length
+                && !(nibbles[mark] === 0xD5 && nibbles[mark + 1] === 0xAA && nibbles[mark + 2] === 0xAD)) {
+                mark++;
+            }
+            if (mark >= i + 64 || mark + 3 + dataNibbles > nibbles.length) continue;
+            const values = nibbles.slice(mark + 3, mark + 3 + dataNibbles).map(nibble => decode[nibble]);
+            if (values.some(value => value < 0) || values[0] !== sector) continue;
+            const contents = MFSMoof._decodeSectorData(values.slice(1));
+            if (!contents) continue;
+            found.set(sector, contents);
+            i = mark + 3 + dataNibbles - 1;
+        }
+        return found;
+    }
+
+    /**
+     * The Sony driver's data encoding: bytes are taken in threes, mixed with three running
+     * checksums, and split into 6-bit values (the top two bits of each byte go in a leading value).
+     * @param {Uint8Array} input - 524 bytes.
+     * @returns {number[]} 699 data values followed by 4 checksum values.
+     */
+    static _encodeSectorData(input) {
+        const values = [];
+        let c1 = 0, c2 = 0, c3 = 0;
+        let i = 0;
+        for (;;) {
+            c1 = (c1 & 0xFF) << 1;
+            if (c1 & 0x100) c1++;
+
+            let value = input[i++];
+            c3 += value;
+            if (c1 & 0x100) {
+                c3++;
+                c1 &= 0xFF;
+            }
+            const b1 = (value ^ c1) & 0xFF;
+
+            value = input[i++];
+            c2 += value;
+            if (c3 > 0xFF) {
+                c2++;
+                c3 &= 0xFF;
+            }
+            const b2 = (value ^ c3) & 0xFF;
+
+            if (i === input.length) {
+                values.push(((b1 & 0xC0) >> 2) | ((b2 & 0xC0) >> 4), b1 & 0x3F, b2 & 0x3F);
+                break;
+            }
+
+            value = input[i++];
+            c1 += value;
+            if (c2 > 0xFF) {
+                c1++;
+                c2 &= 0xFF;
+            }
+            const b3 = (value ^ c2) & 0xFF;
+            values.push(((b1 & 0xC0) >> 2) | ((b2 & 0xC0) >> 4) | ((b3 & 0xC0) >> 6), b1 & 0x3F, b2 & 0x3F, b3 & 0x3F);
+        }
+        values.push(((c1 & 0xC0) >> 6) | ((c2 & 0xC0) >> 4) | ((c3 & 0xC0) >> 2), c3 & 0x3F, c2 & 0x3F, c1 & 0x3F);
+        return values;
+    }
+
+    /**
+     * Reverses _encodeSectorData.
+     * @param {number[]} values - 703 six-bit values.
+     * @returns {?Uint8Array} The 524 bytes, or null if the checksum doesn't match.
+     */
+    static _decodeSectorData(values) {
+        const output = new Uint8Array(DC42_TAG_BYTES_PER_SECTOR + SECTOR_SIZE);
+        let c1 = 0, c2 = 0, c3 = 0;
+        let n = 0;
+        let pos = 0;
+        for (;;) {
+            c1 = (c1 & 0xFF) << 1;
+            if (c1 & 0x100) c1++;
+
+            const high = values[n++];
+            let value = ((values[n++] | ((high << 2) & 0xC0)) ^ c1) & 0xFF;
+            c3 += value;
+            if (c1 & 0x100) {
+                c3++;
+                c1 &= 0xFF;
+            }
+            output[pos++] = value;
+
+            value = ((values[n++] | ((high << 4) & 0xC0)) ^ c3) & 0xFF;
+            c2 += value;
+            if (c3 > 0xFF) {
+                c2++;
+                c3 &= 0xFF;
+            }
+            output[pos++] = value;
+
+            if (pos === output.length) break;
+
+            value = ((values[n++] | ((high << 6) & 0xC0)) ^ c2) & 0xFF;
+            c1 += value;
+            if (c2 > 0xFF) {
+                c1++;
+                c2 &= 0xFF;
+            }
+            output[pos++] = value;
+        }
+        const expected = [((c1 & 0xC0) >> 6) | ((c2 & 0xC0) >> 4) | ((c3 & 0xC0) >> 2), c3 & 0x3F, c2 & 0x3F, c1 & 0x3F];
+        return expected.every((value, i) => values[n + i] === value) ? output : null;
+    }
+}
+
+/**
+ * Reads and writes MacBinary files: a 128-byte header with the Finder information, then the data
+ * fork and the resource fork, each padded to a multiple of 128 bytes. MacBinary II adds a CRC and
+ * the low byte of the Finder flags; MacBinary III adds an 'mBIN' signature.
+ */
+class MFSMacBinary {
+    /**
+     * Encodes a file as MacBinary.
+     * @param {{filename: string, type: string, creator: string, finderFlags?: number,
+     *   iconPosition?: {v: number, h: number}, folderNum?: number, locked?: boolean,
+     *   creationDate?: Date, modificationDate?: Date, dataFork?: ?ArrayBuffer, resourceFork?: ?ArrayBuffer}} file
+     * @param {{version?: 1|2|3}} [options] - The MacBinary version to write (default 3).
+     * @returns {ArrayBuffer}
+     */
+    static build(file, options = {}) {
+        const version = options.version || 3;
+        if (![1, 2, 3].includes(version)) {
+            throw new Error(`Unknown MacBinary version: ${version}. Must be 1, 2 or 3.`);
+        }
+        const name = MFSLibUtils.encodeMacRoman(file.filename);
+        if (name.length < 1 || name.length > MAX_FILENAME_LENGTH) {
+            throw new Error(`MacBinary filenames must be 1 to ${MAX_FILENAME_LENGTH} characters: "${file.filename}".`);
+        }
+        const dataFork = new Uint8Array(file.dataFork || new ArrayBuffer(0));
+        const resourceFork = new Uint8Array(file.resourceFork || new ArrayBuffer(0));
+        const padded = (length) => Math.ceil(length / MACBINARY_HEADER_SIZE) * MACBINARY_HEADER_SIZE;
+
+        const output = new Uint8Array(MACBINARY_HEADER_SIZE + padded(dataFork.length) + padded(resourceFork.length));
+        const view = new DataView(output.buffer);
+        const finderFlags = file.finderFlags || 0;
+        const iconPosition = file.iconPosition || { v: 0, h: 0 };
+
+        MFSLibUtils.writeUint8(view, 1, name.length);
+        output.set(name, 2);
+        output.set(MFSLibUtils.encodeMacRoman(file.type), 65);
+        output.set(MFSLibUtils.encodeMacRoman(file.creator), 69);
+        MFSLibUtils.writeUint8(view, 73, finderFlags >> 8);
+        MFSLibUtils.writeUint16BE(view, 75, iconPosition.v & 0xFFFF);
+        MFSLibUtils.writeUint16BE(view, 77, iconPosition.h & 0xFFFF);
+        MFSLibUtils.writeUint16BE(view, 79, (file.folderNum || 0) & 0xFFFF);
+        MFSLibUtils.writeUint8(view, 81, file.locked ? 1 : 0);
+        MFSLibUtils.writeUint32BE(view, 83, dataFork.length);
+        MFSLibUtils.writeUint32BE(view, 87, resourceFork.length);
+        MFSLibUtils.writeUint32BE(view, 91, MFSLibUtils.dateToMFSTimestamp(file.creationDate) >>> 0);
+        MFSLibUtils.writeUint32BE(view, 95, MFSLibUtils.dateToMFSTimestamp(file.modificationDate) >>> 0);
+        if (version >= 2) {
+            MFSLibUtils.writeUint8(view, 101, finderFlags & 0xFF);
+            if (version === 3) {
+                output.set([0x6D, 0x42, 0x49, 0x4E], 102); // 'mBIN'
+            }
+            MFSLibUtils.writeUint8(view, 122, version === 3 ? 130 : 129); // Version that wrote the file
+            MFSLibUtils.writeUint8(view, 123, 129); // Version needed to read it
+            MFSLibUtils.writeUint16BE(view, 124, MFSLibUtils.crc16(output.subarray(0, 124)));
+        }
+
+        output.set(dataFork, MACBINARY_HEADER_SIZE);
+        output.set(resourceFork, MACBINARY_HEADER_SIZE + padded(dataFork.length));
+        return output.buffer;
+    }
+
+    /**
+     * Decodes a MacBinary file.
+     * @param {ArrayBuffer} arrayBuffer - The .bin file.
+     * @returns {{version: number, filename: string, type: string, creator: string, finderFlags: number,
+     *   iconPosition: {v: number, h: number}, folderNum: number, locked: boolean, creationDate: ?Date,
+     *   modificationDate: ?Date, dataFork: ArrayBuffer, resourceFork: ArrayBuffer}}
+     * @throws {Error} If the header is not a valid MacBinary header or the file is truncated.
+     */
+    static parse(arrayBuffer) {
+        const version = MFSMacBinary._detectVersion(arrayBuffer);
+        if (!version) {
+            throw new Error("Not a MacBinary file (header is invalid or its CRC doesn't match).");
+        }
+        const bytes = new Uint8Array(arrayBuffer);
+        const view = new DataView(arrayBuffer);
+        const padded = (length) => Math.ceil(length / MACBINARY_HEADER_SIZE) * MACBINARY_HEADER_SIZE;
+
+        const dataLength = MFSLibUtils.readUint32BE(view, 83);
+        const resourceLength = MFSLibUtils.readUint32BE(view, 87);
+        // MacBinary II may put a secondary header between the main header and the data fork
+        const secondaryLength = version >= 2 ? MFSLibUtils.readUint16BE(view, 120) : 0;
+        const dataStart = MACBINARY_HEADER_SIZE + padded(secondaryLength);
+        const resourceStart = dataStart + padded(dataLength);
+        if (resourceStart + resourceLength > bytes.length) {
+            throw new Error(`MacBinary file is truncated: forks need ${resourceStart + resourceLength} bytes, the file has ${bytes.length}.`);
+        }
+
+        let finderFlags = MFSLibUtils.readUint8(view, 73) << 8;
+        if (version >= 2) finderFlags |= MFSLibUtils.readUint8(view, 101);
+        const iconV = MFSLibUtils.readUint16BE(view, 75);
+        const iconH = MFSLibUtils.readUint16BE(view, 77);
+        return {
+            version,
+            filename: MFSLibUtils.decodeMacRoman(bytes.subarray(2, 2 + MFSLibUtils.readUint8(view, 1))),
+            type: MFSLibUtils.decodeMacRoman(bytes.subarray(65, 69)),
+            creator: MFSLibUtils.decodeMacRoman(bytes.subarray(69, 73)),
+            finderFlags,
+            iconPosition: { v: iconV << 16 >> 16, h: iconH << 16 >> 16 }, // Signed coordinates
+            folderNum: MFSLibUtils.readUint16BE(view, 79) << 16 >> 16,
+            locked: (MFSLibUtils.readUint8(view, 81) & 0x01) !== 0,
+            creationDate: MFSLibUtils.mfsTimestampToDate(MFSLibUtils.readUint32BE(view, 91)),
+            modificationDate: MFSLibUtils.mfsTimestampToDate(MFSLibUtils.readUint32BE(view, 95)),
+            dataFork: bytes.slice(dataStart, dataStart + dataLength).buffer,
+            resourceFork: bytes.slice(resourceStart, resourceStart + resourceLength).buffer
+        };
+    }
+
+    /**
+     * @returns {boolean} True if the buffer starts with a valid MacBinary I, II or III header.
+     */
+    static isMacBinary(arrayBuffer) {
+        return MFSMacBinary._detectVersion(arrayBuffer) !== 0;
+    }
+
+    // Returns 3, 2, 1, or 0 if the header isn't MacBinary
+    static _detectVersion(arrayBuffer) {
+        if (arrayBuffer.byteLength < MACBINARY_HEADER_SIZE) return 0;
+        const bytes = new Uint8Array(arrayBuffer, 0, MACBINARY_HEADER_SIZE);
+        const view = new DataView(arrayBuffer);
+        if (bytes[0] !== 0 || bytes[74] !== 0 || bytes[1] < 1 || bytes[1] > MAX_FILENAME_LENGTH) return 0;
+        if (MFSLibUtils.readUint32BE(view, 83) > 0x7FFFFFFF || MFSLibUtils.readUint32BE(view, 87) > 0x7FFFFFFF) return 0;
+
+        if (MFSLibUtils.readUint16BE(view, 124) === MFSLibUtils.crc16(bytes.subarray(0, 124))) {
+            return String.fromCharCode(...bytes.subarray(102, 106)) === 'mBIN' ? 3 : 2;
+        }
+        // MacBinary I: no CRC, and everything from offset 99 on is zero
+        if (bytes[82] === 0 && bytes.subarray(99, MACBINARY_HEADER_SIZE).every(value => value === 0)) return 1;
+        return 0;
     }
+}
+
 /**
-     * Reads the content of a specified fork of a file.
-     * @param {string} filename - The name of the file.
-     * @param {'data' | 'resource'} forkType - The type of fork to read ('data' or 'resource').
-     * @returns {ArrayBuffer} The content of the fork.
+ * Reads and writes BinHex 4.0 (.hqx) text. The file (a header with name, type, creator and Finder
+ * flags, then each fork, every part followed by a CRC-16) is run-length encoded with 0x90 as
+ * the repeat marker and then written six bits per character between ':' delimiters.
+ */
+class MFSBinHex {
+    /**
+     * Encodes a file as BinHex 4.0 text.
+     * @param {{filename: string, type: string, creator: string, finderFlags?: number,
+     *   dataFork?: ?ArrayBuffer, resourceFork?: ?ArrayBuffer}} file
+     * @returns {string}
      */
-    readFile(filename, forkType = 'data') {
-        const fileInfo = this._findFileEntryByName(filename);
-        if (!fileInfo) {
-            throw new Error(`File not found for reading: ${filename}`);
+    static build(file) {
+        const name = MFSLibUtils.encodeMacRoman(file.filename);
+        if (name.length < 1 || name.length > MAX_FILENAME_LENGTH) {
+            throw new Error(`BinHex filenames must be 1 to ${MAX_FILENAME_LENGTH} characters: "${file.filename}".`);
         }
-        const entry = fileInfo.entry;
+        const dataFork = new Uint8Array(file.dataFork || new ArrayBuffer(0));
+        const resourceFork = new Uint8Array(file.resourceFork || new ArrayBuffer(0));
 
-        let startBlock, logicalLength, allocLength;
-        if (forkType === 'data') {
-            startBlock = entry.dataForkStartBlock;
-            logicalLength = entry.dataForkLogicalLength;
-            allocLength = entry.dataForkAllocLength; // Use allocated length for buffer creation
-        } else if (forkType === 'resource') {
-            startBlock = entry.resourceForkStartBlock;
-            logicalLength = entry.resourceForkLogicalLength;
-            allocLength = entry.resourceForkAllocLength; // Use allocated length
-        } else {
-            throw new Error(`Invalid fork type: ${forkType}. Must be 'data' or 'resource'.`);
+        const header = new Uint8Array(1 + name.length + 1 + 4 + 4 + 2 + 4 + 4);
+        const view = new DataView(header.buffer);
+        header[0] = name.length;
+        header.set(name, 1);
+        let offset = 1 + name.length + 1; // Followed by a zero version byte
+        header.set(MFSLibUtils.encodeMacRoman(file.type), offset);
+        header.set(MFSLibUtils.encodeMacRoman(file.creator), offset + 4);
+        MFSLibUtils.writeUint16BE(view, offset + 8, (file.finderFlags || 0) & 0xFFFF);
+        MFSLibUtils.writeUint32BE(view, offset + 10, dataFork.length);
+        MFSLibUtils.writeUint32BE(view, offset + 14, resourceFork.length);
+
+        const parts = [];
+        for (const part of [header, dataFork, resourceFork]) {
+            const crc = MFSLibUtils.crc16(part);
+            parts.push(part, new Uint8Array([crc >> 8, crc & 0xFF]));
+        }
+        const binary = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        offset = 0;
+        for (const part of parts) {
+            binary.set(part, offset);
+            offset += part.length;
         }
 
-        if (startBlock === 0 || logicalLength === 0) {
-            return new ArrayBuffer(0); // Empty fork
+        const encoded = ':' + MFSBinHex._encode6(MFSBinHex._compressRLE(binary)) + ':';
+        const lines = [];
+        for (let i = 0; i < encoded.length; i += 64) {
+            lines.push(encoded.substring(i, i + 64));
         }
+        return `${BINHEX_BANNER}\n${lines.join('\n')}\n`;
+    }
 
-        // Create buffer based on allocated length, then slice to logical length
-        const forkData = new Uint8Array(allocLength); 
-        let bytesRead = 0;
-        let currentMFSBlock = startBlock;
-        const allocBlockSizeBytes = this.volumeInfo.allocBlockSize;
+    /**
+     * Decodes BinHex 4.0 text. Text before the banner line (mail headers and the like) is ignored.
+     * @param {string | ArrayBuffer} input - The .hqx contents.
+     * @returns {{filename: string, type: string, creator: string, finderFlags: number,
+     *   dataFork: ArrayBuffer, resourceFork: ArrayBuffer}}
+     * @throws {Error} If the text is not BinHex 4.0, is truncated, or a CRC doesn't match.
+     */
+    static parse(input) {
+        const text = typeof input === 'string' ? input : MFSBinHex._bytesToText(new Uint8Array(input));
+        const banner = text.indexOf(BINHEX_BANNER);
+        const start = text.indexOf(':', banner < 0 ? 0 : banner + BINHEX_BANNER.length);
+        const end = start < 0 ? -1 : text.indexOf(':', start + 1);
+        if (banner < 0 || start < 0 || end < 0) {
+            throw new Error("Not a BinHex 4.0 file (missing banner or ':' delimiters).");
+        }
+        const binary = MFSBinHex._expandRLE(MFSBinHex._decode6(text.substring(start + 1, end)));
 
-        while (currentMFSBlock !== 0x001 && currentMFSBlock !== 0x000 && currentMFSBlock >= 2 && bytesRead < logicalLength) {
-            const blockDiskOffset = (this.volumeInfo.allocBlockStartSector + (currentMFSBlock - 2) * (allocBlockSizeBytes / SECTOR_SIZE)) * SECTOR_SIZE;
-            
-            const bytesToReadInThisBlock = Math.min(allocBlockSizeBytes, logicalLength - bytesRead);
-            
-            for (let i = 0; i < bytesToReadInThisBlock; i++) {
-                if (blockDiskOffset + i < this.dataView.buffer.byteLength && bytesRead + i < forkData.length) {
-                     forkData[bytesRead + i] = MFSLibUtils.readUint8(this.dataView, blockDiskOffset + i);
-                } else {
-                    console.warn(`Read out of bounds attempt in readFile for ${filename}, block ${currentMFSBlock}. Offset: ${blockDiskOffset + i}, Buffer Length: ${this.dataView.buffer.byteLength}`);
-                    // This case should ideally not happen if allocLength and logicalLength are correct
-                    // and file system is not corrupted.
-                    return forkData.buffer.slice(0, bytesRead); // Return what's read so far
-                }
+        let offset = 0;
+        const take = (length, what) => {
+            if (offset + length > binary.length) {
+                throw new Error(`BinHex file is truncated in the ${what}.`);
             }
-            bytesRead += bytesToReadInThisBlock;
+            const part = binary.subarray(offset, offset + length);
+            offset += length;
+            return part;
+        };
+        const checkCrc = (part, what) => {
+            const stored = take(2, what);
+            const expected = (stored[0] << 8) | stored[1];
+            const actual = MFSLibUtils.crc16(part);
+            if (actual !== expected) {
+                throw new Error(`BinHex ${what} CRC mismatch: file says ${expected.toString(16)}, contents give ${actual.toString(16)}.`);
+            }
+        };
 
-            const nextMFSBlockIndicator = this._getABMEntry(currentMFSBlock);
-            if (nextMFSBlockIndicator === 0x001) break; // End of file
-            if (nextMFSBlockIndicator === 0x000 || nextMFSBlockIndicator < 2 || nextMFSBlockIndicator >= this.volumeInfo.numAllocBlocks + 2) {
-                throw new Error(`Corrupted file chain for ${filename} (fork: ${forkType}) at MFS block ${currentMFSBlock}. Next indicator: ${nextMFSBlockIndicator}`);
+        const nameLength = take(1, 'header')[0];
+        if (nameLength < 1 || nameLength > MAX_FILENAME_LENGTH) {
+            throw new Error(`BinHex header has an invalid filename length: ${nameLength}.`);
+        }
+        take(nameLength + 1 + 18, 'header');
+        const header = binary.subarray(0, offset);
+        checkCrc(header, 'header');
+        const view = new DataView(header.buffer, header.byteOffset, header.length);
+        const fields = 1 + nameLength + 1;
+        const dataLength = MFSLibUtils.readUint32BE(view, fields + 10);
+        const resourceLength = MFSLibUtils.readUint32BE(view, fields + 14);
+
+        const dataFork = take(dataLength, 'data fork');
+        checkCrc(dataFork, 'data fork');
+        const resourceFork = take(resourceLength, 'resource fork');
+        checkCrc(resourceFork, 'resource fork');
+
+        return {
+            filename: MFSLibUtils.decodeMacRoman(header.subarray(1, 1 + nameLength)),
+            type: MFSLibUtils.decodeMacRoman(header.subarray(fields, fields + 4)),
+            creator: MFSLibUtils.decodeMacRoman(header.subarray(fields + 4, fields + 8)),
+            finderFlags: MFSLibUtils.readUint16BE(view, fields + 8),
+            dataFork: dataFork.slice().buffer,
+            resourceFork: resourceFork.slice().buffer
+        };
+    }
+
+    /**
+     * @param {string | ArrayBuffer} input
+     * @returns {boolean} True if the input contains the BinHex 4.0 banner.
+     */
+    static isBinHex(input) {
+        const text = typeof input === 'string' ? input : MFSBinHex._bytesToText(new Uint8Array(input, 0, Math.min(input.byteLength, 4096)));
+        return text.includes(BINHEX_BANNER);
+    }
+
+    // .hqx files are 7-bit ASCII; anything else between the delimiters is rejected by _decode6
+    static _bytesToText(bytes) {
+        let text = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return text;
+    }
+
+    static _encode6(bytes) {
+        let text = '';
+        for (let i = 0; i < bytes.length; i += 3) {
+            const group = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+            const chars = Math.min(4, Math.ceil((bytes.length - i) * 8 / 6));
+            for (let c = 0; c < chars; c++) {
+                text += BINHEX_ALPHABET[(group >> (18 - c * 6)) & 0x3F];
             }
-            currentMFSBlock = nextMFSBlockIndicator;
         }
-        
-        // Return only the logical length
-        return forkData.buffer.slice(0, logicalLength);
+        return text;
     }
 
+    static _decode6(text) {
+        const output = [];
+        let bits = 0;
+        let bitCount = 0;
+        for (const char of text) {
+            if (char === '\n' || char === '\r' || char === ' ' || char === '\t') continue;
+            const value = BINHEX_ALPHABET.indexOf(char);
+            if (value < 0) {
+                throw new Error(`Invalid character in BinHex data: "${char}".`);
+            }
+            bits = ((bits << 6) | value) & 0xFFFFFF;
+            bitCount += 6;
+            if (bitCount >= 8) {
+                bitCount -= 8;
+                output.push((bits >> bitCount) & 0xFF);
+            }
+        }
+        return Uint8Array.from(output);
+    }
 
-    listFiles() {
-        return this.fileDirectory.map(entry => ({
-            filename: entry.filename,
+    // 0x90 n repeats the previous byte so it appears n times in all; 0x90 0x00 is a literal 0x90
+    static _compressRLE(bytes) {
+        const output = [];
+        const putByte = (value) => {
+            output.push(value);
+            if (value === BINHEX_RUN_MARKER) output.push(0);
+        };
+        for (let i = 0; i < bytes.length;) {
+            let run = 1;
+            while (i + run < bytes.length && bytes[i + run] === bytes[i] && run < 255) run++;
+            putByte(bytes[i]);
+            if (run >= 3) {
+                output.push(BINHEX_RUN_MARKER, run);
+            } else if (run === 2) {
+                putByte(bytes[i]);
+            }
+            i += run;
+        }
+        return Uint8Array.from(output);
+    }
+
+    static _expandRLE(bytes) {
+        const output = [];
+        let previous = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            if (bytes[i] !== BINHEX_RUN_MARKER) {
+                previous = bytes[i];
+                output.push(previous);
+                continue;
+            }
+            const count = bytes[++i];
+            if (count === undefined) break;
+            if (count === 0) {
+                previous = BINHEX_RUN_MARKER;
+                output.push(previous);
+            } else {
+                for (let k = 1; k < count; k++) output.push(previous);
+            }
+        }
+        return Uint8Array.from(output);
+    }
+}
+
+/**
+ * Reads and writes AppleSingle and AppleDouble (version 2) files. Both are a header listing
+ * numbered entries (data fork, resource fork, real name, dates, Finder info, lock flags).
+ * AppleSingle holds everything in one file; AppleDouble leaves the data fork out, to sit next to
+ * a plain file holding the data fork (the "._name" sidecar convention).
+ */
+class MFSAppleSingle {
+    /**
+     * Encodes a file as AppleSingle, or as an AppleDouble header file.
+     * @param {{filename: string, type: string, creator: string, finderFlags?: number,
+     *   iconPosition?: {v: number, h: number}, folderNum?: number, locked?: boolean,
+     *   creationDate?: Date, modificationDate?: Date, dataFork?: ?ArrayBuffer, resourceFork?: ?ArrayBuffer}} file
+     * @param {{appleDouble?: boolean}} [options] - `appleDouble: true` writes the AppleDouble header
+     *   file, without the data fork.
+     * @returns {ArrayBuffer}
+     */
+    static build(file, options = {}) {
+        const finderInfo = new Uint8Array(32);
+        const finderView = new DataView(finderInfo.buffer);
+        const iconPosition = file.iconPosition || { v: 0, h: 0 };
+        finderInfo.set(MFSLibUtils.encodeMacRoman(file.type), 0);
+        finderInfo.set(MFSLibUtils.encodeMacRoman(file.creator), 4);
+        MFSLibUtils.writeUint16BE(finderView, 8, (file.finderFlags || 0) & 0xFFFF);
+        MFSLibUtils.writeUint16BE(finderView, 10, iconPosition.v & 0xFFFF);
+        MFSLibUtils.writeUint16BE(finderView, 12, iconPosition.h & 0xFFFF);
+        MFSLibUtils.writeUint16BE(finderView, 14, (file.folderNum || 0) & 0xFFFF);
+
+        const dates = new Uint8Array(16);
+        const datesView = new DataView(dates.buffer);
+        const toAppleSingleDate = (date) => date ? (Math.floor(date.getTime() / 1000) - APPLESINGLE_EPOCH_OFFSET) >>> 0 : 0x80000000;
+        MFSLibUtils.writeUint32BE(datesView, 0, toAppleSingleDate(file.creationDate));
+        MFSLibUtils.writeUint32BE(datesView, 4, toAppleSingleDate(file.modificationDate));
+        MFSLibUtils.writeUint32BE(datesView, 8, 0x80000000); // Backup date unknown
+        MFSLibUtils.writeUint32BE(datesView, 12, 0x80000000); // Access date unknown
+
+        const entries = [
+            { id: APPLESINGLE_ENTRY.realName, bytes: MFSLibUtils.encodeMacRoman(file.filename) },
+            { id: APPLESINGLE_ENTRY.fileDates, bytes: dates },
+            { id: APPLESINGLE_ENTRY.finderInfo, bytes: finderInfo },
+            { id: APPLESINGLE_ENTRY.macFileInfo, bytes: new Uint8Array([0, 0, 0, file.locked ? 1 : 0]) },
+            { id: APPLESINGLE_ENTRY.resourceFork, bytes: new Uint8Array(file.resourceFork || new ArrayBuffer(0)) }
+        ];
+        if (!options.appleDouble) {
+            entries.push({ id: APPLESINGLE_ENTRY.dataFork, bytes: new Uint8Array(file.dataFork || new ArrayBuffer(0)) });
+        }
+
+        const headerSize = 26 + entries.length * 12;
+        const output = new Uint8Array(headerSize + entries.reduce((sum, entry) => sum + entry.bytes.length, 0));
+        const view = new DataView(output.buffer);
+        MFSLibUtils.writeUint32BE(view, 0, options.appleDouble ? APPLEDOUBLE_MAGIC : APPLESINGLE_MAGIC);
+        MFSLibUtils.writeUint32BE(view, 4, APPLESINGLE_VERSION);
+        MFSLibUtils.writeUint16BE(view, 24, entries.length);
+        let offset = headerSize;
+        entries.forEach((entry, index) => {
+            MFSLibUtils.writeUint32BE(view, 26 + index * 12, entry.id);
+            MFSLibUtils.writeUint32BE(view, 30 + index * 12, offset);
+            MFSLibUtils.writeUint32BE(view, 34 + index * 12, entry.bytes.length);
+            output.set(entry.bytes, offset);
+            offset += entry.bytes.length;
+        });
+        return output.buffer;
+    }
+
+    /**
+     * Decodes an AppleSingle or AppleDouble file. Entries that are missing come back as null
+     * (or empty forks); unknown entries are ignored.
+     * @param {ArrayBuffer} arrayBuffer
+     * @returns {{appleDouble: boolean, filename: ?string, type: ?string, creator: ?string, finderFlags: number,
+     *   iconPosition: {v: number, h: number}, folderNum: number, locked: boolean, creationDate: ?Date,
+     *   modificationDate: ?Date, dataFork: ?ArrayBuffer, resourceFork: ArrayBuffer}}
+     *   `dataFork` is null for AppleDouble.
+     * @throws {Error} If the header is invalid or an entry lies outside the file.
+     */
+    static parse(arrayBuffer) {
+        const kind = MFSAppleSingle.detect(arrayBuffer);
+        if (!kind) {
+            throw new Error("Not an AppleSingle or AppleDouble file.");
+        }
+        const bytes = new Uint8Array(arrayBuffer);
+        const view = new DataView(arrayBuffer);
+        const count = MFSLibUtils.readUint16BE(view, 24);
+        if (26 + count * 12 > bytes.length) {
+            throw new Error(`AppleSingle header is truncated: ${count} entries listed.`);
+        }
+        const entries = {};
+        for (let i = 0; i < count; i++) {
+            const id = MFSLibUtils.readUint32BE(view, 26 + i * 12);
+            const offset = MFSLibUtils.readUint32BE(view, 30 + i * 12);
+            const length = MFSLibUtils.readUint32BE(view, 34 + i * 12);
+            if (offset + length > bytes.length) {
+                throw new Error(`AppleSingle entry ${id} lies outside the file (offset ${offset}, length ${length}).`);
+            }
+            entries[id] = bytes.subarray(offset, offset + length);
+        }
+
+        const result = {
+            appleDouble: kind === 'appledouble',
+            filename: entries[APPLESINGLE_ENTRY.realName] ? MFSLibUtils.decodeMacRoman(entries[APPLESINGLE_ENTRY.realName]) : null,
+            type: null,
+            creator: null,
+            finderFlags: 0,
+            iconPosition: { v: 0, h: 0 },
+            folderNum: 0,
+            locked: false,
+            creationDate: null,
+            modificationDate: null,
+            dataFork: null,
+            resourceFork: entries[APPLESINGLE_ENTRY.resourceFork] ? entries[APPLESINGLE_ENTRY.resourceFork].slice().buffer : new ArrayBuffer(0)
+        };
+        if (kind === 'applesingle') {
+            result.dataFork = entries[APPLESINGLE_ENTRY.dataFork] ? entries[APPLESINGLE_ENTRY.dataFork].slice().buffer : new ArrayBuffer(0);
+        }
+        const finderInfo = entries[APPLESINGLE_ENTRY.finderInfo];
+        if (finderInfo && finderInfo.length >= 16) {
+            const finderView = new DataView(finderInfo.buffer, finderInfo.byteOffset, finderInfo.length);
+            result.type = MFSLibUtils.decodeMacRoman(finderInfo.subarray(0, 4));
+            result.creator = MFSLibUtils.decodeMacRoman(finderInfo.subarray(4, 8));
+            result.finderFlags = MFSLibUtils.readUint16BE(finderView, 8);
+            result.iconPosition = { v: MFSLibUtils.readUint16BE(finderView, 10) << 16 >> 16, h: MFSLibUtils.readUint16BE(finderView, 12) << 16 >> 16 };
+            result.folderNum = MFSLibUtils.readUint16BE(finderView, 14) << 16 >> 16;
+        }
+        const dates = entries[APPLESINGLE_ENTRY.fileDates];
+        if (dates && dates.length >= 8) {
+            const datesView = new DataView(dates.buffer, dates.byteOffset, dates.length);
+            const fromAppleSingleDate = (value) => value === 0x80000000 ? null : new Date(((value | 0) + APPLESINGLE_EPOCH_OFFSET) * 1000);
+            result.creationDate = fromAppleSingleDate(MFSLibUtils.readUint32BE(datesView, 0));
+            result.modificationDate = fromAppleSingleDate(MFSLibUtils.readUint32BE(datesView, 4));
+        }
+        const macInfo = entries[APPLESINGLE_ENTRY.macFileInfo];
+        if (macInfo && macInfo.length >= 4) {
+            result.locked = (macInfo[3] & 0x01) !== 0;
+        }
+        return result;
+    }
+
+    /**
+     * @returns {'applesingle'|'appledouble'|null} The kind of file, from its magic number.
+     */
+    static detect(arrayBuffer) {
+        if (arrayBuffer.byteLength < 26) return null;
+        const view = new DataView(arrayBuffer);
+        const magic = MFSLibUtils.readUint32BE(view, 0);
+        const version = MFSLibUtils.readUint32BE(view, 4);
+        if (version !== APPLESINGLE_VERSION && version !== 0x00010000) return null;
+        if (magic === APPLESINGLE_MAGIC) return 'applesingle';
+        if (magic === APPLEDOUBLE_MAGIC) return 'appledouble';
+        return null;
+    }
+}
+
+/**
+ * Reads and builds resource forks. The fork starts with a 16-byte header locating the
+ * resource data and the resource map; the map holds a type list, a reference list per type
+ * (ID, name offset, attributes, data offset) and a name list of Pascal strings.
+ * Resources can be added, replaced and deleted in memory; toArrayBuffer() writes the fork out.
+ */
+class ResourceFork {
+    /**
+     * @param {ArrayBuffer} arrayBuffer - The resource fork. An empty fork has no resources.
+     * @throws {Error} If the header or map is malformed.
+     */
+    constructor(arrayBuffer) {
+        this.bytes = new Uint8Array(arrayBuffer);
+        this.view = new DataView(arrayBuffer);
+        this._types = new Map(); // Type code -> array of resource entries
+        this.forkAttributes = 0;
+        if (this.bytes.length > 0) {
+            this._parse();
+        }
+    }
+
+    /**
+     * Builds a resource fork from a list of resources.
+     * @param {{type: string, id: number, data: ArrayBuffer | Uint8Array, name?: ?string, attributes?: number}[]} resources
+     * @returns {ArrayBuffer} The fork, ready to pass to writeFile() or writeFork().
+     */
+    static build(resources) {
+        const fork = new ResourceFork(new ArrayBuffer(0));
+        for (const resource of resources) {
+            fork.setResource(resource.type, resource.id, resource.data, { name: resource.name, attributes: resource.attributes });
+        }
+        return fork.toArrayBuffer();
+    }
+
+    /**
+     * The resource attribute bits, for testing the `attributes` of a resource.
+     * @returns {{sysHeap: number, purgeable: number, locked: number, protected: number, preload: number, changed: number}}
+     */
+    static get ATTRIBUTES() {
+        return { ...RESOURCE_ATTRIBUTES };
+    }
+
+    _parse() {
+        const length = this.bytes.length;
+        if (length < RESOURCE_HEADER_SIZE) {
+            throw new Error(`Invalid resource fork: ${length} bytes is too short for the header.`);
+        }
+        this.dataOffset = MFSLibUtils.readUint32BE(this.view, 0);
+        const mapOffset = MFSLibUtils.readUint32BE(this.view, 4);
+        this.dataLength = MFSLibUtils.readUint32BE(this.view, 8);
+        const mapLength = MFSLibUtils.readUint32BE(this.view, 12);
+        if (this.dataOffset + this.dataLength > length || mapOffset + mapLength > length || mapLength < 30) {
+            throw new Error(`Invalid resource fork: data (${this.dataOffset}+${this.dataLength}) or map (${mapOffset}+${mapLength}) lies outside the ${length}-byte fork.`);
+        }
+
+        this.forkAttributes = MFSLibUtils.readUint16BE(this.view, mapOffset + 22);
+        const typeListOffset = mapOffset + MFSLibUtils.readUint16BE(this.view, mapOffset + 24);
+        const nameListOffset = mapOffset + MFSLibUtils.readUint16BE(this.view, mapOffset + 26);
+        const mapEnd = mapOffset + mapLength;
+        if (typeListOffset + 2 > mapEnd) {
+            throw new Error("Invalid resource fork: the type list lies outside the map.");
+        }
+        // The stored counts are one less than the real ones; an empty map stores 0xFFFF
+        const typeCount = (MFSLibUtils.readUint16BE(this.view, typeListOffset) + 1) & 0xFFFF;
+        for (let t = 0; t < typeCount; t++) {
+            const typeEntry = typeListOffset + 2 + t * 8;
+            if (typeEntry + 8 > mapEnd) {
+                throw new Error("Invalid resource fork: the type list runs past the end of the map.");
+            }
+            const type = MFSLibUtils.decodeMacRoman(this.bytes.subarray(typeEntry, typeEntry + 4));
+            const count = MFSLibUtils.readUint16BE(this.view, typeEntry + 4) + 1;
+            const refListOffset = typeListOffset + MFSLibUtils.readUint16BE(this.view, typeEntry + 6);
+            const entries = this._types.get(type) || [];
+            for (let r = 0; r < count; r++) {
+                const ref = refListOffset + r * 12;
+                if (ref + 12 > mapEnd) {
+                    throw new Error(`Invalid resource fork: the reference list of '${type}' runs past the end of the map.`);
+                }
+                const nameOffset = MFSLibUtils.readUint16BE(this.view, ref + 2);
+                const dataOffset = MFSLibUtils.readUint32BE(this.view, ref + 4) & 0xFFFFFF;
+                let name = null;
+                if (nameOffset !== 0xFFFF) {
+                    const nameStart = nameListOffset + nameOffset;
+                    if (nameStart >= mapEnd || nameStart + 1 + this.bytes[nameStart] > mapEnd) {
+                        throw new Error(`Invalid resource fork: the name of '${type}' resource lies outside the map.`);
+                    }
+                    name = MFSLibUtils.decodeMacRoman(this.bytes.subarray(nameStart + 1, nameStart + 1 + this.bytes[nameStart]));
+                }
+                if (dataOffset + 4 > this.dataLength) {
+                    throw new Error(`Invalid resource fork: the data of '${type}' resource lies outside the data area.`);
+                }
+                entries.push({
+                    type,
+                    id: MFSLibUtils.readUint16BE(this.view, ref) << 16 >> 16, // Signed
+                    name,
+                    attributes: MFSLibUtils.readUint8(this.view, ref + 4),
+                    _dataOffset: dataOffset
+                });
+            }
+            this._types.set(type, entries);
+        }
+    }
+
+    /**
+     * @returns {string[]} The resource types in the fork, in map order.
+     */
+    listTypes() {
+        return [...this._types.keys()];
+    }
+
+    /**
+     * Lists the resources of one type, in map order.
+     * @param {string} type - A four-character resource type, e.g. 'ICN#'.
+     * @returns {{type: string, id: number, name: ?string, attributes: number, size: number}[]}
+     */
+    listResources(type) {
+        return (this._types.get(type) || []).map(entry => ({
             type: entry.type,
-            creator: entry.creator,
-            dataForkSize: entry.dataForkLogicalLength,
-            resourceForkSize: entry.resourceForkLogicalLength,
-            creationDate: entry.creationDate,
-            modificationDate: entry.modificationDate,
-            fileNum: entry.fileNum,
-            folderNum: entry.folderNum
+            id: entry.id,
+            name: entry.name,
+            attributes: entry.attributes,
+            size: this._dataLengthAt(entry)
         }));
     }
 
-    // ... other methods like readFile, writeFile, deleteFile, getFileInfo to be implemented ...
+    /**
+     * Reads a resource by ID, or by name (compared the way the Mac compares filenames).
+     * @param {string} type - A four-character resource type.
+     * @param {number | string} idOrName - The resource ID, or its name.
+     * @returns {?{type: string, id: number, name: ?string, attributes: number, data: ArrayBuffer}}
+     *   null if there is no such resource.
+     */
+    getResource(type, idOrName) {
+        const entry = (this._types.get(type) || []).find(candidate => typeof idOrName === 'number'
+            ? candidate.id === idOrName
+            : candidate.name !== null && MFSLibUtils.namesEqual(candidate.name, idOrName));
+        if (!entry) return null;
+        const length = this._dataLengthAt(entry);
+        if (!entry._data && entry._dataOffset + 4 + length > this.dataLength) {
+            throw new Error(`Resource '${type}' ${entry.id} is truncated: its ${length} bytes run past the data area.`);
+        }
+        return {
+            type: entry.type,
+            id: entry.id,
+            name: entry.name,
+            attributes: entry.attributes,
+            data: this._dataOf(entry).slice().buffer
+        };
+    }
+
+    /**
+     * Adds a resource, or replaces the data of an existing one with the same type and ID.
+     * @param {string} type - A four-character resource type.
+     * @param {number} id - The resource ID (-32768 to 32767).
+     * @param {ArrayBuffer | Uint8Array} data - The resource's contents.
+     * @param {{name?: ?string, attributes?: number}} [options] - When replacing, the existing name and
+     *   attributes are kept unless given here. `name: null` removes the name.
+     */
+    setResource(type, id, data, options = {}) {
+        if (!MFSVolume._isValidOSType(type)) {
+            throw new Error(`Resource type must be 4 Mac OS Roman characters: "${type}".`);
+        }
+        if (!Number.isInteger(id) || id < -32768 || id > 32767) {
+            throw new Error(`Resource ID must be an integer from -32768 to 32767, got ${id}.`);
+        }
+        if (options.name !== undefined && options.name !== null && MFSLibUtils.encodeMacRoman(options.name).length > 255) {
+            throw new Error(`Resource name is longer than 255 characters: "${options.name}".`);
+        }
+        const bytes = data instanceof Uint8Array ? data.slice() : new Uint8Array(data.slice(0));
+
+        if (!this._types.has(type)) this._types.set(type, []);
+        const entries = this._types.get(type);
+        let entry = entries.find(candidate => candidate.id === id);
+        if (!entry) {
+            entry = { type, id, name: null, attributes: 0 };
+            entries.push(entry);
+        }
+        entry._data = bytes;
+        if (options.name !== undefined) entry.name = options.name;
+        if (options.attributes !== undefined) entry.attributes = options.attributes & 0xFF;
+    }
 
-    getDiskImage() {
-        return this.imageBuffer;
+    /**
+     * Returns an ID not yet used by any resource of a type, like the Resource Manager's UniqueID.
+     * @param {string} type - A four-character resource type.
+     * @param {number} [first=128] - The lowest ID to consider (IDs below 128 are reserved for the system).
+     * @returns {number}
+     */
+    uniqueId(type, first = 128) {
+        const used = new Set((this._types.get(type) || []).map(entry => entry.id));
+        let id = first;
+        while (used.has(id)) id++;
+        if (id > 32767) {
+            throw new Error(`No free resource IDs left for '${type}'.`);
+        }
+        return id;
+    }
+
+    /**
+     * Removes a resource. A type left with no resources disappears from listTypes().
+     * @param {string} type - A four-character resource type.
+     * @param {number | string} idOrName - The resource ID, or its name.
+     * @returns {boolean} True if a resource was removed.
+     */
+    deleteResource(type, idOrName) {
+        const entries = this._types.get(type);
+        if (!entries) return false;
+        const index = entries.findIndex(candidate => typeof idOrName === 'number'
+            ? candidate.id === idOrName
+            : candidate.name !== null && MFSLibUtils.namesEqual(candidate.name, idOrName));
+        if (index < 0) return false;
+        entries.splice(index, 1);
+        if (entries.length === 0) this._types.delete(type);
+        return true;
+    }
+
+    /**
+     * Writes the fork out: the header, 240 reserved bytes, the data area (each resource's length
+     * then its bytes), and the map with its type list, reference lists and name list.
+     * @returns {ArrayBuffer}
+     */
+    toArrayBuffer() {
+        const types = [...this._types.entries()];
+        const resourceCount = types.reduce((sum, [, entries]) => sum + entries.length, 0);
+
+        const dataParts = [];
+        const nameParts = [];
+        let dataLength = 0;
+        let nameListLength = 0;
+        const placed = new Map(); // Entry -> { dataOffset, nameOffset }
+        for (const [, entries] of types) {
+            for (const entry of entries) {
+                const data = this._dataOf(entry);
+                let nameOffset = 0xFFFF;
+                if (entry.name !== null) {
+                    const name = MFSLibUtils.encodeMacRoman(entry.name);
+                    nameOffset = nameListLength;
+                    nameParts.push(Uint8Array.of(name.length), name);
+                    nameListLength += 1 + name.length;
+                }
+                placed.set(entry, { dataOffset: dataLength, nameOffset });
+                dataParts.push(data);
+                dataLength += 4 + data.length;
+            }
+        }
+        if (dataLength > 0xFFFFFF) {
+            throw new Error(`Resource data is too large: ${dataLength} bytes (the limit is 16 MB).`);
+        }
+
+        const typeListLength = 2 + types.length * 8;
+        const mapLength = 28 + typeListLength + resourceCount * 12 + nameListLength;
+        if (28 + typeListLength + resourceCount * 12 > 0xFFFF || nameListLength > 0xFFFF) {
+            throw new Error(`Resource map is too large: ${resourceCount} resources, ${nameListLength} bytes of names.`);
+        }
+        const dataOffset = 256; // The Resource Manager leaves 240 bytes after the header for the system and application
+        const mapOffset = dataOffset + dataLength;
+        const output = new Uint8Array(mapOffset + mapLength);
+        const view = new DataView(output.buffer);
+
+        MFSLibUtils.writeUint32BE(view, 0, dataOffset);
+        MFSLibUtils.writeUint32BE(view, 4, mapOffset);
+        MFSLibUtils.writeUint32BE(view, 8, dataLength);
+        MFSLibUtils.writeUint32BE(view, 12, mapLength);
+
+        let offset = dataOffset;
+        for (const data of dataParts) {
+            MFSLibUtils.writeUint32BE(view, offset, data.length);
+            output.set(data, offset + 4);
+            offset += 4 + data.length;
+        }
+
+        // Map: a copy of the header, handle and file reference placeholders, attributes, list offsets
+        output.set(output.subarray(0, RESOURCE_HEADER_SIZE), mapOffset);
+        MFSLibUtils.writeUint16BE(view, mapOffset + 22, this.forkAttributes);
+        MFSLibUtils.writeUint16BE(view, mapOffset + 24, 28);
+        MFSLibUtils.writeUint16BE(view, mapOffset + 26, 28 + typeListLength + resourceCount * 12);
+
+        const typeList = mapOffset + 28;
+        MFSLibUtils.writeUint16BE(view, typeList, (types.length - 1) & 0xFFFF);
+        let refOffset = typeListLength; // Reference lists follow the type list
+        types.forEach(([type, entries], index) => {
+            const typeEntry = typeList + 2 + index * 8;
+            output.set(MFSLibUtils.encodeMacRoman(type), typeEntry);
+            MFSLibUtils.writeUint16BE(view, typeEntry + 4, entries.length - 1);
+            MFSLibUtils.writeUint16BE(view, typeEntry + 6, refOffset);
+            for (const entry of entries) {
+                const ref = typeList + refOffset;
+                const { dataOffset: entryDataOffset, nameOffset } = placed.get(entry);
+                MFSLibUtils.writeUint16BE(view, ref, entry.id & 0xFFFF);
+                MFSLibUtils.writeUint16BE(view, ref + 2, nameOffset);
+                MFSLibUtils.writeUint32BE(view, ref + 4, ((entry.attributes << 24) | entryDataOffset) >>> 0);
+                refOffset += 12;
+            }
+        });
+
+        offset = typeList + refOffset;
+        for (const part of nameParts) {
+            output.set(part, offset);
+            offset += part.length;
+        }
+        return output.buffer;
+    }
+
+    // Each resource's data is preceded by its 4-byte length
+    _dataLengthAt(entry) {
+        if (entry._data) return entry._data.length;
+        return MFSLibUtils.readUint32BE(this.view, this.dataOffset + entry._dataOffset);
+    }
+
+    _dataOf(entry) {
+        if (entry._data) return entry._data;
+        const start = this.dataOffset + entry._dataOffset + 4;
+        return this.bytes.subarray(start, start + this._dataLengthAt(entry));
     }
 }
 
@@ -977,6 +5342,212 @@ function runTest() {
         mfsLoaded.deleteFile(testFile2Name);
         console.log("Files after deleting RSRC.TST:", mfsLoaded.listFiles());
 
+        console.log("\nTest 5: File handle reads and writes at the current position");
+        mfsLoaded.writeFile("HANDLE.TST", textEncoder.encode("0123456789").buffer, null, testFileMetadata);
+        const handle = mfsLoaded.openFile("HANDLE.TST", 'data', 'rw');
+        handle.seek(5);
+        handle.write(textEncoder.encode("!").buffer);
+        handle.write(8, new Uint8Array([63]));
+        handle.seek(2);
+        const handleRead = textDecoder.decode(handle.read(3)) + "|" + textDecoder.decode(handle.read()) + "|" + textDecoder.decode(handle.read(0, 2));
+        handle.close();
+        if (handleRead !== "234|!67?9|01") {
+            console.error(`FAIL: File handle positions wrong. Expected "234|!67?9|01", got "${handleRead}"`);
+        } else {
+            console.log("PASS: File handle reads and writes use the current position.");
+        }
+        mfsLoaded.deleteFile("HANDLE.TST");
+
+        console.log("\nTest 6: Rewriting an existing file without metadata");
+        mfsLoaded.writeFile("KEEP.TST", textEncoder.encode("old").buffer, null, { type: "TEXT", creator: "ROOO" });
+        const rewritten = mfsLoaded.writeFile("KEEP.TST", textEncoder.encode("new contents").buffer, null, null);
+        if (rewritten.type !== "TEXT" || textDecoder.decode(mfsLoaded.readFile("KEEP.TST")) !== "new contents") {
+            console.error("FAIL: Rewriting with null metadata lost the contents or the type.");
+        } else {
+            console.log("PASS: Rewriting with null metadata keeps the type and replaces the contents.");
+        }
+        mfsLoaded.deleteFile("KEEP.TST");
+
+        console.log("\nTest 7: A failed transaction leaves the volume unchanged");
+        const filesBefore = JSON.stringify(mfsLoaded.listFiles());
+        const freeBefore = mfsLoaded.volumeInfo.freeAllocBlocks;
+        try {
+            mfsLoaded.transaction(volume => {
+                volume.writeFile("TXN.TST", new ArrayBuffer(5000), null, testFileMetadata);
+                volume.renameFile("TXN.TST", "Renamed");
+                throw new Error("Abort on purpose");
+            });
+        } catch (error) {
+            // Expected
+        }
+        let asyncRejected = false;
+        try {
+            mfsLoaded.transaction(async volume => volume.writeFile("ASYNC.TST", null, null, testFileMetadata));
+        } catch (error) {
+            asyncRejected = true;
+        }
+        if (JSON.stringify(mfsLoaded.listFiles()) !== filesBefore || mfsLoaded.volumeInfo.freeAllocBlocks !== freeBefore || !asyncRejected) {
+            console.error("FAIL: Rolled-back transaction changed the volume.");
+        } else {
+            console.log("PASS: Rolled-back transactions leave the files and free space unchanged.");
+        }
+
+        console.log("\nTest 8: Undeleting files");
+        const undeleteVolume = new MFSVolume({ create: true, sizeKB: 400, volumeName: "Undelete" });
+        const filled = (length, value) => new Uint8Array(length).fill(value).buffer;
+        undeleteVolume.writeFile("Whole", filled(3000, 1), null, testFileMetadata);
+        undeleteVolume.deleteFile("Whole");
+        const whole = undeleteVolume.undeleteFile("Whole");
+        const wholeData = new Uint8Array(undeleteVolume.readFile("Whole"));
+        // "Split" grows past "Gap" after "Gap" is deleted, so its blocks are no longer one run
+        undeleteVolume.writeFile("Split", filled(2048, 2), null, testFileMetadata);
+        undeleteVolume.writeFile("Gap", filled(2048, 3), null, testFileMetadata);
+        undeleteVolume.writeFile("After", filled(2048, 4), null, testFileMetadata);
+        undeleteVolume.deleteFile("Gap");
+        undeleteVolume.appendToFork("Split", 'data', filled(2048, 5));
+        undeleteVolume.deleteFile("Split");
+        const split = undeleteVolume.undeleteFile("Split");
+        if (!whole.forks.data.intact || wholeData.length !== 3000 || wholeData.some(byte => byte !== 1)) {
+            console.error("FAIL: An unfragmented deleted file did not come back intact.", whole.forks);
+        } else if (split.forks.data.intact || !split.forks.data.guessed) {
+            console.error("FAIL: A fork rebuilt past blocks in use was reported intact.", split.forks);
+        } else {
+            console.log("PASS: Undelete reports intact and guessed forks correctly.");
+        }
+
+        console.log("\nTest 9: Checking and repairing a cross-linked volume");
+        const damaged = new MFSVolume({ create: true, sizeKB: 400, volumeName: "Damaged" });
+        damaged.writeFile("First", new ArrayBuffer(3000), null, testFileMetadata);
+        damaged.writeFile("Second", new ArrayBuffer(3000), null, testFileMetadata);
+        const firstStart = damaged.fileDirectory[0].dataForkStartBlock;
+        const secondStart = damaged.fileDirectory[1].dataForkStartBlock;
+        damaged._setABMEntry(firstStart, secondStart); // First's chain now runs into Second's blocks
+        damaged._writeMDB();
+        const reloaded = new MFSVolume(damaged.getDiskImage());
+        const report = reloaded.check();
+        const crossLinked = report.problems.some(problem => problem.code === 'CROSS_LINKED');
+        reloaded.repair();
+        const afterRepair = reloaded.check();
+        if (report.ok || !crossLinked) {
+            console.error("FAIL: check() missed the cross-linked chain.", report.problems);
+        } else if (!afterRepair.ok) {
+            console.error("FAIL: The volume is still inconsistent after repair.", afterRepair.problems);
+        } else {
+            console.log("PASS: check() reports the cross-link and repair fixes it.");
+        }
+
+        console.log("\nTest 10: Disk Copy 4.2 round trip");
+        const imageVolume = new MFSVolume({ create: true, sizeKB: 400, volumeName: "Imaged" });
+        imageVolume.writeFile("Inside", textEncoder.encode("Disk image contents").buffer, null, testFileMetadata);
+        const sectorTags = new Uint8Array(800 * DC42_TAG_BYTES_PER_SECTOR).map((_, i) => i * 7);
+        imageVolume.diskCopyInfo = { name: "Test Image", dataSize: 400 * 1024, tags: sectorTags };
+        const dc42 = imageVolume.toDiskCopy42();
+        const fromDc42 = MFSVolume.fromDiskCopy42(dc42);
+        const damagedDc42 = dc42.slice(0);
+        new Uint8Array(damagedDc42)[DC42_HEADER_SIZE + 3 * SECTOR_SIZE] ^= 0xFF;
+        let checksumCaught = false;
+        try {
+            MFSVolume.fromDiskCopy42(damagedDc42);
+        } catch (error) {
+            checksumCaught = true;
+        }
+        if (textDecoder.decode(fromDc42.readFile("Inside")) !== "Disk image contents" || fromDc42.diskCopyInfo.name !== "Test Image"
+            || !fromDc42.diskCopyInfo.tags.every((byte, i) => byte === sectorTags[i]) || !checksumCaught) {
+            console.error("FAIL: Disk Copy 4.2 round trip lost data, or a bad checksum was accepted.");
+        } else {
+            console.log("PASS: Disk Copy 4.2 keeps the volume, name and tags, and checks its checksums.");
+        }
+
+        console.log("\nTest 11: MOOF (6-and-2 GCR) round trip");
+        const moof = fromDc42.toMoof();
+        const fromMoof = MFSVolume.fromMoof(moof);
+        const originalSectors = new Uint8Array(fromDc42.getDiskImage());
+        const decodedSectors = new Uint8Array(fromMoof.getDiskImage());
+        const damagedMoof = moof.slice(0);
+        new Uint8Array(damagedMoof)[MOOF_BITS_START_BLOCK * 512 + 2000] ^= 0xFF; // Inside track 0's bits
+        let gcrErrorCaught = false;
+        try {
+            MFSVolume.fromMoof(damagedMoof, { ignoreChecksums: true });
+        } catch (error) {
+            gcrErrorCaught = true;
+        }
+        if (!MFSMoof.isMoof(moof) || !decodedSectors.every((byte, i) => byte === originalSectors[i])
+            || !fromMoof.diskCopyInfo.tags.every((byte, i) => byte === sectorTags[i]) || !gcrErrorCaught) {
+            console.error("FAIL: MOOF round trip changed sectors or tags, or a damaged track was accepted.");
+        } else {
+            console.log("PASS: MOOF encodes and decodes every sector and tag, and rejects damaged tracks.");
+        }
+
+        console.log("\nTest 12: DART fixtures");
+        // RLE: chunk 0 is 6 words (3 literal words "DART!!", then 0x4E71 repeated 10477 times); the other 19 are empty
+        const dartRle = new Uint8Array(84 + 12);
+        dartRle.set([0x00, 0x01, 0x01, 0x90, 0x00, 0x06]);
+        dartRle.set([0x00, 0x03, 0x44, 0x41, 0x52, 0x54, 0x21, 0x21, 0xD7, 0x13, 0x4E, 0x71], 84);
+        // LZH: chunk 0 is "LZH!" followed by zeros, 495 bytes packed with LZHUF
+        const lzhChunk = [
+            "ec79ba9adc660df8c014781654174217b917f6077723bb63bb83bb07768eed1dda3ba8eea3ba8eea3ba8eec3bb0eec3b91dc8ee47723b91dd0ee8774",
+            "3ba1dd0ee87743ba1dd0ee87743b63b63b63b63b63b83b83b83b83b83b83b83b83b83b83b83b83b83b83b83b83b83b83b83b83b83b83b83b83b83b83",
+            "b83b0760ec1d83b0768ed1da3b4768ed1da3b4768ed1da3b4768ed1da3b4768ed1da3b4768ed1da3b4768ed1da3b4768ed1da3b4768ed1da3b4768ed",
+            "1da3b4768ed1da3b4768ed1da3b4768ed1da3b4768ed1da3b4768ed1da3bc778ef1de3bc778ef1de3bc778ef1de3bc778ef1de3bc778ef1de3bc778e",
+            "f1de3bc778ef1de3bc778ef1de3bc778ef1de3bc778ef1de3bc778ef1de3bc778ef1de3bc778ef1de3bc778ef1de3bc778ef1de3bc778ef1de3bc778",
+            "ef1de3bc761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d876",
+            "1d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d876",
+            "1d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8761d8771dc771dc771dc771dc771dc771dc77",
+            "1dc771dc771dc771dc771dc7671138"
+        ].join("").match(/../g).map(pair => parseInt(pair, 16));
+        const dartLzh = new Uint8Array(84 + lzhChunk.length);
+        dartLzh.set([0x01, 0x01, 0x01, 0x90, 0x01, 0xEF]);
+        dartLzh.set(lzhChunk, 84);
+        const rleImage = MFSDart.parse(dartRle.buffer);
+        const lzhImage = MFSDart.parse(dartLzh.buffer);
+        const rleData = new Uint8Array(rleImage.data);
+        const lzhData = new Uint8Array(lzhImage.data);
+        const rleOk = rleImage.compression === 'rle' && textDecoder.decode(rleData.subarray(0, 6)) === "DART!!"
+            && rleData.subarray(6, 20480).every((byte, i) => byte === (i % 2 === 0 ? 0x4E : 0x71))
+            && rleImage.tags.subarray(0, 480).every((byte, i) => byte === (i % 2 === 0 ? 0x4E : 0x71))
+            && rleData.subarray(20480).every(byte => byte === 0) && rleImage.tags.subarray(480).every(byte => byte === 0);
+        const lzhOk = lzhImage.compression === 'lzh' && textDecoder.decode(lzhData.subarray(0, 4)) === "LZH!"
+            && lzhData.subarray(4).every(byte => byte === 0) && lzhImage.tags.every(byte => byte === 0);
+        if (!rleOk || !lzhOk || MFSVolume.detectImageFormat(dartRle.buffer) !== 'dart') {
+            console.error(`FAIL: DART fixtures decoded wrongly (RLE ${rleOk ? "ok" : "wrong"}, LZH ${lzhOk ? "ok" : "wrong"}).`);
+        } else {
+            console.log("PASS: DART RLE and LZH chunks unpack to the expected sectors and tags.");
+        }
+
+        console.log("\nTest 13: Resource fork parsing");
+        // A hand-assembled fork: one 'STR ' resource, ID 128, named "Hello", holding "Hi"
+        const forkBytes = new Uint8Array(256 + 6 + 56);
+        const forkView = new DataView(forkBytes.buffer);
+        [256, 262, 6, 56].forEach((value, i) => MFSLibUtils.writeUint32BE(forkView, i * 4, value)); // Header
+        forkBytes.set([0, 0, 0, 2, 0x48, 0x69], 256); // Data: length, then "Hi"
+        forkBytes.set(forkBytes.subarray(0, 16), 262); // The map starts with a copy of the header
+        MFSLibUtils.writeUint16BE(forkView, 262 + 24, 28); // Type list offset
+        MFSLibUtils.writeUint16BE(forkView, 262 + 26, 50); // Name list offset
+        forkBytes.set([0, 0, 0x53, 0x54, 0x52, 0x20, 0, 0, 0, 10], 262 + 28); // One type, 'STR ', one resource
+        forkBytes.set([0, 128, 0, 0, 0x20, 0, 0, 0], 262 + 38); // ID, name offset, purgeable, data offset
+        forkBytes.set([5, 0x48, 0x65, 0x6C, 0x6C, 0x6F], 262 + 50); // "Hello"
+        const parsedFork = new ResourceFork(forkBytes.buffer);
+        const byId = parsedFork.getResource('STR ', 128);
+        const byName = parsedFork.getResource('STR ', "hello");
+        const rebuiltFork = new ResourceFork(ResourceFork.build([
+            { type: 'STR ', id: -16000, data: textEncoder.encode("Negative"), name: "Neg" },
+            { type: 'ICN#', id: 128, data: new Uint8Array(256).fill(0xAA) }
+        ]));
+        let malformedCaught = false;
+        try {
+            new ResourceFork(forkBytes.slice(0, 300).buffer);
+        } catch (error) {
+            malformedCaught = true;
+        }
+        if (JSON.stringify(parsedFork.listTypes()) !== '["STR "]' || !byId || textDecoder.decode(byId.data) !== "Hi"
+            || byId.name !== "Hello" || byId.attributes !== ResourceFork.ATTRIBUTES.purgeable || !byName || byName.id !== 128
+            || JSON.stringify(rebuiltFork.listTypes()) !== '["STR ","ICN#"]' || rebuiltFork.getResource('STR ', "Neg").id !== -16000
+            || rebuiltFork.listResources('ICN#')[0].size !== 256 || !malformedCaught) {
+            console.error("FAIL: Resource fork parsing returned the wrong resources, or accepted a truncated fork.");
+        } else {
+            console.log("PASS: Resource forks parse by ID and name, round-trip through build(), and reject truncation.");
+        }
+
 
         console.log("\nAll MFS library tests completed.");
 
@@ -985,6 +5556,10 @@ function runTest() {
     }
 }
 
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MFSVolume, MFSLibUtils, MFSLockedError, MFSFileHandle, MFSMemoryDevice, MFSNodeFileDevice, MFSBlobDevice, MFSDiskCopy42, MFSDart, MFSMoof, MFSMacBinary, MFSBinHex, MFSAppleSingle, ResourceFork };
+}
+
 // To run in Node.js environment for testing:
 // if (typeof require !== 'undefined' && require.main === module) {
 //     runTest();